@@ -0,0 +1,281 @@
+/**
+ * Relay server that keeps provider API keys out of the browser
+ * The add-in's "Relay" provider sends requests here with a per-user token; the relay calls the
+ * configured provider with its own key and answers with a validated {subject, body} result.
+ *
+ * Usage: npm run relay (reads server/relay.config.json, or the file named by RELAY_CONFIG)
+ */
+import { createServer as createHttpServer } from 'node:http';
+import { createServer as createHttpsServer } from 'node:https';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createProvider, getProviderDefinition } from '../src/lib/providers/index.js';
+import { normalizeResult, buildRepairInstruction, withoutImages } from '../src/lib/llm-providers.js';
+
+const CONFIG_PATH = process.env.RELAY_CONFIG || fileURLToPath(new URL('./relay.config.json', import.meta.url));
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Most drafts one request may ask for
+ */
+const MAX_CANDIDATES = 4;
+
+/**
+ * Time allowed for the provider call, including retries
+ */
+const REQUEST_TIMEOUT_MS = 120 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Create an Error carrying the HTTP status to answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Load and check the relay config
+ * @returns {Object}
+ */
+function loadConfig() {
+    const config = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+
+    if (!getProviderDefinition(config.provider)) {
+        throw new Error(`Unknown provider "${config.provider}" in ${CONFIG_PATH}`);
+    }
+    if (!config.providers?.[config.provider]) {
+        throw new Error(`No settings for provider "${config.provider}" in ${CONFIG_PATH}`);
+    }
+    if (!config.users || Object.keys(config.users).length === 0) {
+        throw new Error(`No user tokens configured in ${CONFIG_PATH}`);
+    }
+
+    return {
+        port: 3001,
+        allowedOrigins: [],
+        ...config,
+        // A Map, so tokens like "constructor" don't match inherited object properties
+        users: new Map(Object.entries(config.users)),
+        rateLimit: { requestsPerMinute: 10, requestsPerDay: 300, ...config.rateLimit }
+    };
+}
+
+/**
+ * Per-user sliding-window rate limiter kept in memory
+ * @param {{requestsPerMinute: number, requestsPerDay: number}} limits
+ * @returns {{check: function(string): number}} - check() records a request and returns 0, or the seconds to wait
+ */
+function createRateLimiter(limits) {
+    const requests = new Map(); // user -> request timestamps within the last day
+
+    return {
+        check(user) {
+            const now = Date.now();
+            const recent = (requests.get(user) || []).filter(time => now - time < DAY_MS);
+            const lastMinute = recent.filter(time => now - time < MINUTE_MS);
+
+            if (lastMinute.length >= limits.requestsPerMinute) {
+                requests.set(user, recent);
+                return Math.ceil((lastMinute[0] + MINUTE_MS - now) / 1000);
+            }
+            if (recent.length >= limits.requestsPerDay) {
+                requests.set(user, recent);
+                return Math.ceil((recent[0] + DAY_MS - now) / 1000);
+            }
+
+            recent.push(now);
+            requests.set(user, recent);
+            return 0;
+        }
+    };
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('node:http').IncomingMessage} request
+ * @returns {Promise<Object>}
+ */
+async function readJsonBody(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw httpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+        throw httpError(400, 'Request body must be JSON');
+    }
+}
+
+/**
+ * Normalise one model answer, sending a single repair request if it doesn't validate
+ * @param {Object} provider
+ * @param {string} text
+ * @param {Object} options
+ * @returns {Promise<{result: {subject: string, body: string}, usage: Object|null}>}
+ */
+async function normalizeWithRepair(provider, text, options) {
+    const normalized = normalizeResult(text);
+    if (normalized.result) {
+        return { result: normalized.result, usage: null };
+    }
+
+    const repair = await provider.processText(text, buildRepairInstruction(normalized.error), options);
+    const repaired = normalizeResult(repair.text);
+    if (!repaired.result) {
+        throw httpError(502, `The AI response was not in the expected format: ${repaired.error}`);
+    }
+    return { result: repaired.result, usage: repair.usage };
+}
+
+/**
+ * Handle POST /process
+ * Body: {emailBody, instruction, systemPrompt?, history?, images?, candidates?, temperature?, maxTokens?}
+ * Answers {subject, body, variants, model, usage}
+ * @param {Object} config
+ * @param {Object} payload
+ * @returns {Promise<Object>}
+ */
+async function handleProcess(config, payload) {
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw httpError(400, 'Request body must be a JSON object');
+    }
+
+    const { emailBody = '', instruction, systemPrompt, history, images, candidates, temperature, maxTokens } = payload;
+
+    if (typeof instruction !== 'string' || !instruction.trim() || typeof emailBody !== 'string') {
+        throw httpError(400, 'emailBody and instruction must be strings');
+    }
+    if ((history !== undefined && !Array.isArray(history)) || (images !== undefined && !Array.isArray(images))) {
+        throw httpError(400, 'history and images must be arrays');
+    }
+
+    // Generation parameters may be tuned per request; the provider, key and model are the relay's
+    const provider = createProvider(config.provider, {
+        ...config.providers[config.provider],
+        ...(typeof temperature === 'number' ? { temperature } : {}),
+        ...(typeof maxTokens === 'number' ? { maxTokens } : {})
+    });
+    let options = {
+        systemPrompt: typeof systemPrompt === 'string' ? systemPrompt : undefined,
+        history,
+        images,
+        candidates: Math.min(Math.max(1, Number(candidates) || 1), MAX_CANDIDATES),
+        maxRetries: 2,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    };
+    if (!getProviderDefinition(config.provider).capabilities.vision) {
+        options = withoutImages(options);
+    }
+
+    // Several drafts come from one call where the API supports it, otherwise from parallel calls
+    const responses = provider.supportsCandidates || options.candidates === 1
+        ? [await provider.processText(emailBody, instruction, options)]
+        : await Promise.all(Array.from({ length: options.candidates }, () => provider.processText(emailBody, instruction, options)));
+
+    const texts = responses.flatMap(response => (response.texts?.length ? response.texts : [response.text]));
+    const normalized = await Promise.all(
+        texts.slice(0, options.candidates).map(text => normalizeWithRepair(provider, text, { ...options, history: undefined, images: undefined }))
+    );
+
+    const usage = [...responses, ...normalized].map(r => r.usage).filter(Boolean).reduce((total, u) => ({
+        inputTokens: total.inputTokens + u.inputTokens,
+        outputTokens: total.outputTokens + u.outputTokens
+    }), { inputTokens: 0, outputTokens: 0 });
+
+    const variants = normalized.map(n => n.result);
+    return { ...variants[0], variants, model: provider.model, usage };
+}
+
+/**
+ * Create the relay request handler
+ * @param {Object} config
+ * @returns {function(import('node:http').IncomingMessage, import('node:http').ServerResponse): Promise<void>}
+ */
+function createHandler(config) {
+    const rateLimiter = createRateLimiter(config.rateLimit);
+
+    return async (request, response) => {
+        const origin = request.headers.origin;
+        if (origin && config.allowedOrigins.includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        }
+
+        const send = (status, body, headers = {}) => {
+            response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            response.end(JSON.stringify(body));
+        };
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, {
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                'Access-Control-Max-Age': '600'
+            });
+            response.end();
+            return;
+        }
+
+        const { pathname } = new URL(request.url, 'http://relay');
+        if (pathname !== '/process' || request.method !== 'POST') {
+            send(404, { error: { message: 'Not found' } });
+            return;
+        }
+
+        const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+        const user = token ? config.users.get(token) : undefined;
+        if (!user) {
+            send(401, { error: { message: 'Invalid relay token' } });
+            return;
+        }
+
+        const retryAfter = rateLimiter.check(user);
+        if (retryAfter > 0) {
+            send(429, { error: { message: `Rate limit reached, try again in ${retryAfter} seconds` } }, { 'Retry-After': String(retryAfter) });
+            return;
+        }
+
+        const started = Date.now();
+        try {
+            const result = await handleProcess(config, await readJsonBody(request));
+            console.log(`${new Date().toISOString()} ${user} ok ${result.usage.inputTokens}+${result.usage.outputTokens} tokens ${Date.now() - started}ms`);
+            send(200, result);
+        } catch (error) {
+            // Pass rate-limit and server errors on so the add-in can retry or fall back; a rejected
+            // provider key is the relay's problem, not the user's token
+            const status = [401, 403].includes(error.status) || !(error.status >= 400) ? 502 : error.status;
+            console.log(`${new Date().toISOString()} ${user} error ${status}: ${error.message}`);
+            send(status, { error: { message: error.message } });
+        }
+    };
+}
+
+const config = loadConfig();
+const handler = createHandler(config);
+const server = config.tls
+    ? createHttpsServer({ cert: readFileSync(config.tls.cert), key: readFileSync(config.tls.key) }, handler)
+    : createHttpServer(handler);
+
+server.listen(config.port, () => {
+    const scheme = config.tls ? 'https' : 'http';
+    console.log(`Relay listening on ${scheme}://localhost:${config.port}/process (provider: ${config.provider}, ${config.users.size} users)`);
+});
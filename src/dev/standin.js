@@ -0,0 +1,300 @@
+/**
+ * Outlook compose window stand-in for local development
+ * Emulates the parts of Office.context.mailbox.item the add-in uses, backed by the editable
+ * subject and body on this page, and frames the real taskpane next to them. The add-in pages load
+ * office.js themselves; the frame gets copies of them with the emulated Office.js in its place, so
+ * nothing of the stand-in ships with the add-in.
+ */
+
+const FIXTURES = [
+    { file: 'new-draft.html', name: 'New draft with signature', subject: 'Launch update' },
+    { file: 'reply-with-thread.html', name: 'Reply with Outlook thread', subject: 'RE: Quote for 200 units' },
+    { file: 'table-and-image.html', name: 'Draft with table and image', subject: 'Q1 numbers' }
+];
+
+/**
+ * Most recent API calls kept in the log panel
+ */
+const MAX_LOG_ENTRIES = 50;
+
+/**
+ * The office.js script tag of an add-in page
+ */
+const OFFICE_SCRIPT_PATTERN = /<script[^>]*\ssrc="[^"]*\/office\.js"[^>]*><\/script>/i;
+
+const $ = (id) => document.getElementById(id);
+
+let savedRange = null; // Last selection in the body; focus moves to the taskpane frame before it's used
+const itemChangedHandlers = [];
+
+/**
+ * Record an emulated API call in the log panel
+ * @param {string} name
+ * @param {string} [detail]
+ */
+function log(name, detail = '') {
+    const entry = document.createElement('li');
+    entry.textContent = `${new Date().toLocaleTimeString()} ${name}${detail ? ` - ${detail}` : ''}`;
+    $('apiLog').prepend(entry);
+
+    while ($('apiLog').children.length > MAX_LOG_ENTRIES) {
+        $('apiLog').lastElementChild.remove();
+    }
+}
+
+/**
+ * Call the Office-style callback (always the last function argument) asynchronously
+ * @param {Array} args - Arguments the API was called with
+ * @param {Object} result - AsyncResult
+ */
+function complete(args, result) {
+    const callback = args.find(arg => typeof arg === 'function');
+    if (callback) setTimeout(() => callback(result), 0);
+}
+
+/**
+ * Build a successful AsyncResult
+ * @param {any} value
+ * @returns {Object}
+ */
+function succeeded(value) {
+    return { status: 'succeeded', value };
+}
+
+/**
+ * Coercion type from an options object, defaulting to text like Office.js
+ * @param {Array} args
+ * @returns {string}
+ */
+function getCoercionType(args) {
+    const options = args.find(arg => arg && typeof arg === 'object');
+    return options?.coercionType || 'text';
+}
+
+/**
+ * Range for the current selection in the body, or a caret at the start
+ * @returns {Range}
+ */
+function getBodyRange() {
+    const body = $('composeBody');
+    if (savedRange && body.contains(savedRange.commonAncestorContainer)) {
+        return savedRange;
+    }
+
+    const range = document.createRange();
+    range.setStart(body, 0);
+    range.collapse(true);
+    return range;
+}
+
+/**
+ * Replace the selection in the body, like body.setSelectedDataAsync
+ * @param {string} data
+ * @param {string} coercionType
+ */
+function replaceSelection(data, coercionType) {
+    const range = getBodyRange();
+    range.deleteContents();
+
+    const content = coercionType === 'html'
+        ? range.createContextualFragment(data)
+        : document.createTextNode(data);
+    const lastNode = content.lastChild;
+    range.insertNode(content);
+
+    // Leave the caret after the inserted content, as Outlook does
+    if (lastNode) {
+        range.setStartAfter(lastNode);
+        range.collapse(true);
+    }
+    savedRange = range;
+}
+
+/**
+ * Text offset of a range boundary within the body
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number}
+ */
+function getTextPosition(node, offset) {
+    const range = document.createRange();
+    range.setStart($('composeBody'), 0);
+    range.setEnd(node, offset);
+    return range.toString().length;
+}
+
+/**
+ * Create the emulated Office namespace for a framed page
+ * @returns {Object}
+ */
+function createOffice() {
+    const item = {
+        itemType: 'message',
+
+        subject: {
+            getAsync(...args) {
+                log('subject.getAsync');
+                complete(args, succeeded($('composeSubject').value));
+            },
+            setAsync(subject, ...args) {
+                log('subject.setAsync', subject);
+                $('composeSubject').value = subject;
+                complete(args, succeeded());
+            }
+        },
+
+        body: {
+            getAsync(coercionType, ...args) {
+                const body = $('composeBody');
+                complete(args, succeeded(coercionType === 'html' ? body.innerHTML : body.innerText));
+            },
+            setAsync(data, ...args) {
+                log('body.setAsync', `${data.length} chars`);
+                const body = $('composeBody');
+                if (getCoercionType(args) === 'html') body.innerHTML = data;
+                else body.innerText = data;
+                savedRange = null;
+                complete(args, succeeded());
+            },
+            prependAsync(data, ...args) {
+                log('body.prependAsync', `${data.length} chars`);
+                const body = $('composeBody');
+                if (getCoercionType(args) === 'html') body.insertAdjacentHTML('afterbegin', data);
+                else body.prepend(data);
+                complete(args, succeeded());
+            },
+            setSelectedDataAsync(data, ...args) {
+                log('body.setSelectedDataAsync', `${data.length} chars`);
+                replaceSelection(data, getCoercionType(args));
+                complete(args, succeeded());
+            }
+        },
+
+        getSelectedDataAsync(coercionType, ...args) {
+            log('getSelectedDataAsync');
+            const range = getBodyRange();
+            const container = document.createElement('div');
+            container.appendChild(range.cloneContents());
+
+            complete(args, succeeded({
+                data: coercionType === 'html' ? container.innerHTML : range.toString(),
+                sourceProperty: 'body',
+                startPosition: getTextPosition(range.startContainer, range.startOffset),
+                endPosition: getTextPosition(range.endContainer, range.endOffset)
+            }));
+        },
+
+        // Fixture images are data URIs, so there are no inline attachments to read
+        getAttachmentsAsync(...args) {
+            log('getAttachmentsAsync');
+            complete(args, succeeded([]));
+        },
+
+        getAttachmentContentAsync(id, ...args) {
+            log('getAttachmentContentAsync', id);
+            complete(args, { status: 'failed', error: { message: 'Attachment not found' } });
+        }
+    };
+
+    const Office = {
+        HostType: { Outlook: 'Outlook' },
+        CoercionType: { Html: 'html', Text: 'text' },
+        AsyncResultStatus: { Succeeded: 'succeeded', Failed: 'failed' },
+        EventType: { ItemChanged: 'olkItemSelectedChanged' },
+        MailboxEnums: { AttachmentContentFormat: { Base64: 'base64' } },
+
+        context: {
+            mailbox: {
+                item,
+                addHandlerAsync(eventType, handler, ...args) {
+                    if (eventType === Office.EventType.ItemChanged) itemChangedHandlers.push(handler);
+                    complete(args, succeeded());
+                },
+                removeHandlerAsync(eventType, ...args) {
+                    if (eventType === Office.EventType.ItemChanged) itemChangedHandlers.length = 0;
+                    complete(args, succeeded());
+                }
+            }
+        },
+
+        onReady(callback) {
+            const info = { host: Office.HostType.Outlook, platform: 'OfficeOnline' };
+            return new Promise(resolve => {
+                setTimeout(() => {
+                    callback?.(info);
+                    resolve(info);
+                }, 0);
+            });
+        }
+    };
+
+    return Office;
+}
+
+/**
+ * Load a fixture email into the compose area
+ * @param {Object} fixture
+ */
+async function loadFixture(fixture) {
+    const response = await fetch(`fixtures/${fixture.file}`);
+    $('composeBody').innerHTML = response.ok ? await response.text() : `<p>Couldn't load fixtures/${fixture.file}</p>`;
+    $('composeSubject').value = fixture.subject;
+    savedRange = null;
+
+    log('Loaded fixture', fixture.name);
+    itemChangedHandlers.forEach(handler => handler({ type: 'olkItemSelectedChanged' }));
+}
+
+/**
+ * Load an add-in page into the taskpane frame, with the emulated Office.js instead of office.js
+ * The page is framed as srcdoc with its own URL as base, so its styles, scripts and links resolve as usual.
+ * @param {string} url
+ */
+async function loadAddinPage(url) {
+    const pageUrl = new URL(url, window.location.href);
+    const response = await fetch(pageUrl);
+    if (!response.ok) {
+        log('Failed to load page', `${pageUrl.pathname} (HTTP ${response.status})`);
+        return;
+    }
+
+    const html = await response.text();
+    $('taskpaneFrame').srcdoc = html
+        .replace(/<head>/i, (head) => `${head}<base href="${pageUrl.href}">`)
+        .replace(OFFICE_SCRIPT_PATTERN, '<script>window.Office = window.parent.OutlookStandin.createOffice();</script>');
+}
+
+/**
+ * Set up the page
+ */
+function initialize() {
+    // Must exist before a framed page runs its scripts
+    window.OutlookStandin = { createOffice };
+
+    // The add-in navigates between the taskpane and settings; load the page it went to with the stand-in
+    $('taskpaneFrame').addEventListener('load', () => {
+        const { href } = $('taskpaneFrame').contentWindow.location;
+        if (!href.startsWith('about:')) loadAddinPage(href);
+    });
+
+    const fixtureSelect = $('fixtureSelect');
+    fixtureSelect.innerHTML = FIXTURES
+        .map((fixture, index) => `<option value="${index}">${fixture.name}</option>`)
+        .join('');
+    fixtureSelect.addEventListener('change', () => loadFixture(FIXTURES[fixtureSelect.value]));
+    $('reloadFixtureBtn').addEventListener('click', () => loadFixture(FIXTURES[fixtureSelect.value]));
+
+    // Remember the selection, since clicking in the taskpane clears it
+    document.addEventListener('selectionchange', () => {
+        const selection = document.getSelection();
+        if (selection.rangeCount > 0 && $('composeBody').contains(selection.anchorNode)) {
+            savedRange = selection.getRangeAt(0).cloneRange();
+        }
+    });
+
+    loadFixture(FIXTURES[0]).then(() => {
+        loadAddinPage('../taskpane/taskpane.html');
+    });
+}
+
+initialize();
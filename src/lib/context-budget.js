@@ -0,0 +1,173 @@
+/**
+ * Approximate token counting and context-window budgeting
+ */
+
+/**
+ * Context window sizes in tokens, matched by model-name prefix (first match wins)
+ */
+const MODEL_CONTEXT_LIMITS = [
+    ['gpt-4.1', 1047576],
+    ['gpt-4o', 128000],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['gpt-5', 400000],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+    ['claude', 200000],
+    ['gemini-1.5-pro', 2097152],
+    ['gemini-1.5-flash', 1048576],
+    ['gemini-2', 1048576],
+    ['gemini-pro', 32760],
+    ['llama3.1', 131072],
+    ['llama3.2', 131072],
+    ['llama3.3', 131072],
+    ['llama3', 8192],
+    ['mistral', 32768],
+    ['qwen2.5', 32768],
+    ['phi3', 4096],
+    // The mock provider, sized like a hosted model so trimming only shows up on very long threads
+    ['mock', 200000]
+];
+
+/**
+ * Tokens kept free for the model's answer
+ */
+const RESERVED_OUTPUT_TOKENS = 4096;
+
+/**
+ * Tokens reserved for the system prompt and the instruction/email framing
+ */
+const PROMPT_OVERHEAD_TOKENS = 1000;
+
+/**
+ * Separator placed between thread messages in the prompt
+ */
+export const THREAD_MESSAGE_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Estimate the number of tokens in a text
+ * Roughly 4 characters per token for Latin scripts, about one token per CJK character
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+
+    const cjkChars = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+    return Math.ceil((text.length - cjkChars) / 4 + cjkChars);
+}
+
+/**
+ * Get the context window size for a model
+ * @param {string} [model]
+ * @returns {number|null} - null when the model isn't known yet, e.g. the relay's before its first answer, or isn't
+ *   in the table, e.g. an Azure deployment or a custom endpoint's model, whose window could be far larger than a guess
+ */
+export function getContextLimit(model) {
+    if (!model) return null;
+
+    const name = model.toLowerCase().replace(/^models\//, '');
+    const entry = MODEL_CONTEXT_LIMITS.find(([prefix]) => name.startsWith(prefix));
+    return entry ? entry[1] : null;
+}
+
+/**
+ * Fit the thread into the model's context window
+ * The draft and instruction are always kept whole; thread messages are dropped oldest first,
+ * and the oldest message that still partly fits is cut short. Nothing is dropped when the model's
+ * context window isn't known.
+ * @param {Object} params
+ * @param {string} params.body - Current draft
+ * @param {string} params.instruction
+ * @param {string[]} params.threadMessages - Thread messages, newest first
+ * @param {string} [params.model]
+ * @returns {{threadMessages: string[], droppedMessages: number, droppedTokens: number, truncated: boolean, contextLimit: number|null, overBudget: boolean}}
+ *   contextLimit is null when the model is unknown
+ */
+export function budgetContext({ body, instruction, threadMessages = [], model }) {
+    const contextLimit = getContextLimit(model);
+    if (contextLimit === null) {
+        return { threadMessages, droppedMessages: 0, droppedTokens: 0, truncated: false, contextLimit, overBudget: false };
+    }
+
+    const fixedTokens = PROMPT_OVERHEAD_TOKENS + estimateTokens(body) + estimateTokens(instruction);
+    let available = contextLimit - RESERVED_OUTPUT_TOKENS - fixedTokens;
+
+    const kept = [];
+    let droppedTokens = 0;
+    let truncated = false;
+
+    for (const message of threadMessages) {
+        const tokens = estimateTokens(message) + estimateTokens(THREAD_MESSAGE_SEPARATOR);
+
+        if (tokens <= available) {
+            kept.push(message);
+            available -= tokens;
+            continue;
+        }
+
+        // Keep the start of the first message that doesn't fit if there's meaningful room
+        if (available > 200) {
+            const keepChars = Math.floor(message.length * (available / tokens));
+            kept.push(message.slice(0, keepChars).trimEnd() + ' [...]');
+            droppedTokens += tokens - available;
+            truncated = true;
+            available = 0;
+            continue;
+        }
+
+        droppedTokens += tokens;
+        available = 0;
+    }
+
+    return {
+        threadMessages: kept,
+        droppedMessages: threadMessages.length - kept.length,
+        droppedTokens,
+        truncated,
+        contextLimit,
+        overBudget: fixedTokens + RESERVED_OUTPUT_TOKENS > contextLimit
+    };
+}
+
+/**
+ * Fit a refinement conversation into the model's context window
+ * The latest turn, whose reply is the draft being refined, and the new instruction are always kept; older
+ * turns are dropped oldest first. The oldest kept turn then gets the reply it refined as its email content,
+ * so the model still sees what each instruction applied to.
+ * @param {Object} params
+ * @param {Array<{emailBody: string, instruction: string, response: string, images?: Array}>} params.history
+ * @param {string} params.instruction - The new follow-up instruction
+ * @param {string} [params.model]
+ * @returns {{history: Array, droppedTurns: number, droppedTokens: number}}
+ */
+export function budgetHistory({ history, instruction, model }) {
+    const contextLimit = getContextLimit(model);
+    if (contextLimit === null || history.length < 2) {
+        return { history, droppedTurns: 0, droppedTokens: 0 };
+    }
+
+    const available = contextLimit - RESERVED_OUTPUT_TOKENS - PROMPT_OVERHEAD_TOKENS - estimateTokens(instruction);
+    const turnTokens = history.map(turn => estimateTokens(turn.instruction) + estimateTokens(turn.response));
+    const windowTokens = (start) =>
+        estimateTokens(start === 0 ? history[0].emailBody : history[start - 1].response) +
+        turnTokens.slice(start).reduce((sum, tokens) => sum + tokens, 0);
+
+    let start = 0;
+    while (start < history.length - 1 && windowTokens(start) > available) {
+        start++;
+    }
+    if (start === 0) {
+        return { history, droppedTurns: 0, droppedTokens: 0 };
+    }
+
+    // The email's images belong to the first turn
+    const first = { ...history[start], emailBody: history[start - 1].response, images: history[0].images };
+    return {
+        history: [first, ...history.slice(start + 1)],
+        droppedTurns: start,
+        droppedTokens: windowTokens(0) - windowTokens(start)
+    };
+}
@@ -1,202 +1,656 @@
 import { storage } from './storage.js';
+import { usageLedger } from './usage-ledger.js';
+import { styleProfiles } from './style-profiles.js';
+import { buildSystemPrompt, RESULT_SCHEMA, toUsage } from './providers/base.js';
+import { createProvider, getProviderDefinition, requiresApiKey } from './providers/index.js';
+
+export { PROTECTED_SYSTEM_RULES, buildSystemPrompt } from './providers/base.js';
+export { PROVIDERS, getProviderDefinition, getProviderName, requiresApiKey } from './providers/index.js';
 
 /**
- * System prompt for structured output
+ * Combine the caller's abort signal with a timeout
+ * @param {AbortSignal} [signal] - Caller's signal (e.g. from the Cancel button)
+ * @param {number} timeoutMs - 0 disables the timeout
+ * @returns {{signal: AbortSignal, didTimeout: function(): boolean, dispose: function(): void}}
  */
-const SYSTEM_PROMPT = `You are an expert email assistant. When given an email body and an instruction, you must:
-1. Generate an appropriate email subject line
-2. Generate the improved/modified email body based on the instruction
+function createRequestSignal(signal, timeoutMs) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) controller.abort(signal.reason);
+        else signal.addEventListener('abort', onAbort, { once: true });
+    }
 
-IMPORTANT: You MUST respond with valid JSON in this exact format:
-{
-  "subject": "Your suggested subject line here",
-  "body": "<p>Your HTML-formatted email body here</p>"
+    const timer = timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort(new DOMException('Request timed out', 'TimeoutError'));
+        }, timeoutMs)
+        : null;
+
+    return {
+        signal: controller.signal,
+        didTimeout: () => timedOut,
+        dispose: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    };
 }
 
-For the body, use RICH HTML FORMATTING to create visually appealing, well-structured emails:
-- Use <p> tags for paragraphs with proper spacing between ideas
-- Use <strong> for bold emphasis on important words or phrases
-- Use <em> for italic text when appropriate
-- Use <ul> and <li> for bullet point lists (great for action items, key points)
-- Use <ol> and <li> for numbered/ordered lists (great for steps, priorities)
-- Use <br> for line breaks within paragraphs when needed
-- Use emojis SPARINGLY and only when they naturally add warmth or clarity:
-  • Limit usage to 1-2 relevant emojis maximum, and only if the tone is friendly or informal
-  • Examples where they may be appropriate: 👋 for greetings, ✅ for confirmations, or 🎉 for celebrations
-  • Avoid emojis in formal or strictly professional correspondence
+/**
+ * Read a JSON string value that may still be cut off mid-stream
+ * @param {string} text - Partial JSON text
+ * @param {string} key - Property name to look for
+ * @returns {string|null} - Decoded value so far, or null if the key has not started yet
+ */
+function extractPartialString(text, key) {
+    const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+    if (!match) return null;
+
+    let value = '';
+    let i = match.index + match[0].length;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '"') break;
+
+        if (char !== '\\') {
+            value += char;
+            i++;
+            continue;
+        }
+
+        // Escape sequence - stop if it is not complete yet
+        const next = text[i + 1];
+        if (next === undefined) break;
 
-OBJECT PRESERVATION:
-- The input may contain placeholders like [[TABLE_1]] or [[IMAGE_1]].
-- These represent embedded tables or images that MUST be preserved exactly as-is.
-- Include these placeholders in your output in their appropriate relative positions.
-- Do NOT modify, remove, or rewrite the placeholder text.
+        if (next === 'u') {
+            const hex = text.slice(i + 2, i + 6);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 6;
+            continue;
+        }
 
-- Keep the formatting clean, professional, and visually structured
-- Do not include any text outside the JSON object
-- Do not use markdown syntax - use only HTML tags`;
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+        value += escapes[next] ?? next;
+        i += 2;
+    }
 
+    return value;
+}
 
 /**
- * Base LLM Provider class
+ * Extract subject and body from an incomplete `{subject, body}` JSON response
+ * Used to render results progressively while the model is still streaming
+ * @param {string} text - Accumulated response text
+ * @returns {{subject: string, body: string}}
  */
-class LLMProvider {
-    constructor(config) {
-        this.apiKey = config.apiKey;
-        this.endpoint = config.endpoint;
-        this.model = config.model;
+export function parsePartialResult(text) {
+    return {
+        subject: extractPartialString(text, 'subject') || '',
+        body: extractPartialString(text, 'body') || ''
+    };
+}
+
+/**
+ * Pull the JSON object out of a model response
+ * Strips ```json fences and any prose before or after the object
+ * @param {string} text - Raw model output
+ * @returns {string|null} - The JSON object text, or null if none was found
+ */
+function extractJsonObject(text) {
+    let candidate = (text || '').trim();
+
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
     }
 
-    async processText(selectedText, instruction) {
-        throw new Error('processText must be implemented by subclass');
+    const start = candidate.indexOf('{');
+    if (start === -1) return null;
+
+    // Scan for the matching closing brace, ignoring braces inside strings
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < candidate.length; i++) {
+        const char = candidate[i];
+
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{') depth++;
+        else if (char === '}' && --depth === 0) {
+            return candidate.slice(start, i + 1);
+        }
     }
+
+    return null;
 }
 
 /**
- * OpenAI Provider (also works with OpenAI-compatible APIs)
+ * Validate a parsed result against RESULT_SCHEMA
+ * @param {any} value
+ * @returns {string|null} - Validation error, or null when valid
  */
-class OpenAIProvider extends LLMProvider {
-    async processText(emailBody, instruction) {
-        const response = await fetch(`${this.endpoint}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: SYSTEM_PROMPT
-                    },
-                    {
-                        role: 'user',
-                        content: `Instruction: ${instruction}\n\nEmail content:\n${emailBody}`
-                    }
-                ],
-                temperature: 0.7,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `OpenAI API error: ${response.status}`);
+function validateResult(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'the response is not a JSON object';
+    }
+    for (const key of RESULT_SCHEMA.required) {
+        if (typeof value[key] !== 'string') {
+            return `"${key}" is missing or not a string`;
         }
+    }
+    if (!value.body.trim()) {
+        return '"body" is empty';
+    }
+    return null;
+}
 
-        const data = await response.json();
-        return data.choices[0]?.message?.content || '{}';
-    }
-}
-
-/**
- * Claude (Anthropic) Provider
- */
-class ClaudeProvider extends LLMProvider {
-    async processText(emailBody, instruction) {
-        const response = await fetch(`${this.endpoint}/v1/messages`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01',
-                'anthropic-dangerous-direct-browser-access': 'true'
-            },
-            body: JSON.stringify({
-                model: this.model,
-                max_tokens: 4096,
-                system: SYSTEM_PROMPT,
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Instruction: ${instruction}\n\nEmail content:\n${emailBody}`
-                    }
-                ]
-            })
-        });
+/**
+ * Turn raw model output into a validated {subject, body} result
+ * @param {string} text - Raw model output
+ * @returns {{result: {subject: string, body: string}|null, error: string|null}}
+ */
+export function normalizeResult(text) {
+    const json = extractJsonObject(text);
+    if (!json) {
+        return { result: null, error: 'no JSON object was found in the response' };
+    }
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Claude API error: ${response.status}`);
-        }
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (e) {
+        return { result: null, error: `the JSON could not be parsed (${e.message})` };
+    }
 
-        const data = await response.json();
-        return data.content[0]?.text || '{}';
-    }
-}
-
-/**
- * Google Gemini Provider
- */
-class GeminiProvider extends LLMProvider {
-    async processText(emailBody, instruction) {
-        const url = `${this.endpoint}/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [
-                    {
-                        parts: [
-                            {
-                                text: `${SYSTEM_PROMPT}\n\nInstruction: ${instruction}\n\nEmail content:\n${emailBody}`
-                            }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    temperature: 0.7,
-                    responseMimeType: "application/json"
-                }
-            })
-        });
+    const error = validateResult(parsed);
+    if (error) {
+        return { result: null, error };
+    }
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Gemini API error: ${response.status}`);
-        }
+    return { result: { subject: parsed.subject.trim(), body: parsed.body }, error: null };
+}
+
+/**
+ * Instruction for the one-shot repair request sent when a response fails validation
+ * @param {string} error - Validation error from normalizeResult
+ * @returns {string}
+ */
+export function buildRepairInstruction(error) {
+    return `Your previous reply could not be used because ${error}. ` +
+        'The "email content" below is that reply. Return it as a single JSON object with exactly two string fields, ' +
+        '"subject" and "body", following the format rules. Keep the wording and any [[...]] placeholders unchanged ' +
+        'and do not add any text outside the JSON object.';
+}
+
+/**
+ * List the models available for a provider, sorted by name
+ * @param {string} providerId
+ * @param {Object} config - Provider config ({apiKey, endpoint, model})
+ * @returns {Promise<string[]>} - Empty when the provider has no listing endpoint
+ */
+export async function listModels(providerId, config) {
+    const models = await createProvider(providerId, config).listModels();
+    return [...new Set(models)].sort();
+}
+
+/**
+ * Time allowed for a connection test before reporting the endpoint as unresponsive
+ */
+const TEST_TIMEOUT_MS = 30000;
+
+/**
+ * Name of the secret a provider needs, e.g. "API key" or "user token"
+ * @param {string} providerId
+ * @returns {string|null} - null when the provider needs none
+ */
+function getCredentialName(providerId) {
+    const field = getProviderDefinition(providerId)?.fields.find(f => f.type === 'password' && f.required);
+    return field ? field.label.toLowerCase().replace(/\bapi\b/, 'API') : null;
+}
+
+/**
+ * Connection test message for a request that got past authentication
+ * @param {string} providerId
+ * @returns {string}
+ */
+function describeAuthentication(providerId) {
+    const credential = getCredentialName(providerId);
+    return credential ? `The ${credential} was accepted.` : 'No API key needed.';
+}
+
+/**
+ * Explain why a connection test request failed
+ * @param {Error} error
+ * @param {LLMProvider} provider
+ * @param {string} providerId
+ * @param {function(string, string, string): void} addCheck
+ */
+function diagnoseTestFailure(error, provider, providerId, addCheck) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        addCheck('Reachability', 'fail', `No response within ${TEST_TIMEOUT_MS / 1000} seconds from ${provider.endpoint}.`);
+        return;
+    }
+
+    if (error.network) {
+        const corsHint = ` ${getProviderDefinition(providerId).corsHint || 'The server must also allow cross-origin (CORS) requests from the add-in.'}`;
+        addCheck('Reachability', 'fail', `Couldn't reach ${provider.endpoint}. Check the URL and your network.${corsHint}`);
+        return;
+    }
+
+    if (!error.status) {
+        addCheck('Request', 'fail', error.message);
+        return;
+    }
+
+    addCheck('Reachability', 'ok', `${provider.endpoint} responded (HTTP ${error.status}).`);
+
+    if (error.status === 401 || error.status === 403) {
+        addCheck('Authentication', 'fail', `The ${getCredentialName(providerId) || 'request'} was rejected: ${error.message}`);
+        return;
+    }
+    addCheck('Authentication', 'ok', describeAuthentication(providerId));
+
+    if (error.status === 404) {
+        addCheck('Model', 'fail', `"${provider.model}" was not found, or the endpoint path is wrong: ${error.message}`);
+        return;
+    }
+
+    if (error.status === 400 && /response_format|json_schema|json_object|\bformat\b|tool/i.test(error.message)) {
+        addCheck('JSON output', 'fail', `The server rejected the structured-output request: ${error.message}`);
+        return;
+    }
+
+    if (error.status === 429) {
+        addCheck('Quota', 'warn', `Rate limited or out of quota: ${error.message}`);
+        return;
+    }
+
+    addCheck('Request', 'fail', error.message);
+}
+
+/**
+ * Check a provider config with a minimal real request through the provider class
+ * Reports configuration, reachability/CORS, authentication, model, JSON output and latency.
+ * Test requests aren't recorded in the usage ledger.
+ * @param {string} providerId
+ * @param {Object} config - Provider config as entered in settings
+ * @returns {Promise<{ok: boolean, latencyMs: number|null, checks: Array<{label: string, status: string, message: string}>}>}
+ *   status is 'ok', 'warn' or 'fail'
+ */
+export async function testConnection(providerId, config) {
+    const checks = [];
+    const addCheck = (label, status, message) => checks.push({ label, status, message });
+
+    const configError = getConfigError(providerId, config);
+    if (configError) {
+        addCheck('Configuration', 'fail', configError);
+        return { ok: false, latencyMs: null, checks };
+    }
+
+    // OpenAIProvider appends /chat/completions itself
+    if (providerId === 'custom' && /\/chat\/completions\/?$/.test(config.endpoint || '')) {
+        addCheck('Endpoint', 'warn', 'The endpoint ends in /chat/completions, which is added automatically, so requests would go to .../chat/completions/chat/completions. Remove it from the endpoint.');
+    }
 
-        const data = await response.json();
-        return data.candidates[0]?.content?.parts[0]?.text || '{}';
+    const provider = createProvider(providerId, config);
+    const request = createRequestSignal(null, TEST_TIMEOUT_MS);
+    const started = Date.now();
+    let response;
+
+    try {
+        response = await provider.processText(
+            'Hi,\n\nJust checking that this works.\n\nThanks',
+            'Reply with a short subject and a one-sentence body.',
+            { signal: request.signal }
+        );
+    } catch (error) {
+        diagnoseTestFailure(error, provider, providerId, addCheck);
+        return { ok: false, latencyMs: null, checks };
+    } finally {
+        request.dispose();
+    }
+
+    const latencyMs = Date.now() - started;
+    addCheck('Reachability', 'ok', `${provider.endpoint} responded.`);
+    addCheck('Authentication', 'ok', describeAuthentication(providerId));
+    addCheck('Model', 'ok', `"${provider.model}" answered.`);
+
+    const normalized = normalizeResult(response.text);
+    if (normalized.result) {
+        addCheck('JSON output', 'ok', 'Returned a valid {subject, body} JSON object.');
+    } else {
+        addCheck('JSON output', 'warn', `The response wasn't valid JSON (${normalized.error}). The server may not support JSON mode; each request will need a repair round-trip.`);
+    }
+
+    addCheck('Latency', latencyMs > 15000 ? 'warn' : 'ok', `${(latencyMs / 1000).toFixed(1)} s round trip.`);
+
+    return { ok: true, latencyMs, checks };
+}
+
+/**
+ * Check a provider config for missing required values
+ * @param {string} providerId
+ * @param {Object} config
+ * @returns {string|null} - Error message, or null when the provider is usable
+ */
+export function getConfigError(providerId, config) {
+    const definition = getProviderDefinition(providerId);
+    if (!definition || !config) {
+        return `Unknown provider: ${providerId}`;
+    }
+
+    if (requiresApiKey(providerId) && !config.apiKey) {
+        return `No API key configured for ${definition.name}. Please configure in settings.`;
+    }
+
+    const missing = definition.fields
+        .filter(field => field.required && field.key !== 'apiKey' && !config[field.key])
+        .map(field => field.label);
+    if (missing.length > 0) {
+        return `${definition.name} needs ${missing.join(' and ')}. Please configure in settings.`;
+    }
+
+    return null;
+}
+
+/**
+ * Apply saved-prompt generation overrides to a provider config
+ * @param {Object} config
+ * @param {Object} overrides - {model, temperature, maxTokens}; unset fields keep the config's values
+ * @param {boolean} includeModel - Model names only make sense for the provider the prompt pins
+ * @returns {Object}
+ */
+function applyOverrides(config, overrides, includeModel) {
+    const merged = { ...config };
+
+    if (includeModel && overrides.model) {
+        merged.model = overrides.model;
+        // Azure addresses models by deployment name
+        if ('deployment' in merged) merged.deployment = overrides.model;
     }
+    if (overrides.temperature !== undefined) merged.temperature = overrides.temperature;
+    if (overrides.maxTokens !== undefined) merged.maxTokens = overrides.maxTokens;
+
+    return merged;
+}
+
+/**
+ * Resolve which provider and config a request will use, after saved-prompt overrides
+ * @param {Object} [overrides] - Saved prompt overrides ({provider, model, temperature, maxTokens})
+ * @returns {{providerId: string, config: Object|undefined}}
+ */
+export function resolveProvider(overrides = {}) {
+    const settings = storage.getProviderSettings();
+    const providerId = overrides.provider || settings.activeProvider;
+    const config = settings.providers[providerId];
+
+    return {
+        providerId,
+        config: config && applyOverrides(config, overrides, true)
+    };
 }
 
 /**
  * Get the appropriate provider instance based on settings
+ * @param {Object} [overrides] - Saved prompt overrides ({provider, model, temperature, maxTokens})
  * @returns {LLMProvider}
  */
-export function getProvider() {
+export function getProvider(overrides) {
+    const { providerId, config } = resolveProvider(overrides);
+
+    const configError = getConfigError(providerId, config);
+    if (configError) {
+        throw new Error(configError);
+    }
+
+    return createProvider(providerId, config);
+}
+
+/**
+ * Whether an error should hand the request over to the next fallback provider
+ * Network failures, timeouts, quota/rate limits and 5xx qualify; bad requests and cancellation don't
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+    if (error.name === 'AbortError') return false;
+    if (error.timedOut) return true;
+    if (error.network) return true;
+    return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Drop the images from request options, including those of earlier conversation turns
+ * Used for providers without the vision capability, which are sent the placeholders only.
+ * @param {Object} options - Same options as processText
+ * @returns {Object}
+ */
+export function withoutImages(options) {
+    return {
+        ...options,
+        images: undefined,
+        history: options.history?.map(({ images, ...turn }) => turn)
+    };
+}
+
+/**
+ * Run a single provider call with the configured timeout and retries, recording its token usage
+ * @param {LLMProvider} provider
+ * @param {string} providerId
+ * @param {string} emailBody
+ * @param {string} instruction
+ * @param {Object} options
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function runProvider(provider, providerId, emailBody, instruction, options) {
+    const { timeoutSeconds, maxRetries } = storage.getRequestSettings();
+    const request = createRequestSignal(options.signal, timeoutSeconds * 1000);
+
+    if (!getProviderDefinition(providerId).capabilities.vision) {
+        options = withoutImages(options);
+    }
+
+    try {
+        const result = await provider.processText(emailBody, instruction, {
+            ...options,
+            signal: request.signal,
+            maxRetries
+        });
+
+        usageLedger.record({
+            provider: providerId,
+            model: provider.model,
+            promptName: options.promptName,
+            ...result.usage
+        });
+
+        return result;
+    } catch (error) {
+        if (request.didTimeout()) {
+            const timeoutError = new Error(`Request timed out after ${timeoutSeconds} seconds. You can raise the timeout in settings.`);
+            timeoutError.timedOut = true;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        request.dispose();
+    }
+}
+
+/**
+ * Run a request against the active provider, moving down the fallback chain on failover errors
+ * @param {string} emailBody
+ * @param {string} instruction
+ * @param {Object} options - Same options as processText
+ * @returns {Promise<{text: string, texts?: string[], usage: Object, providerId: string, provider: LLMProvider}>}
+ */
+async function runWithFallback(emailBody, instruction, options) {
     const settings = storage.getProviderSettings();
-    const activeProvider = settings.activeProvider;
-    const config = settings.providers[activeProvider];
+    const overrides = options.overrides || {};
+    const primaryId = resolveProvider(overrides).providerId;
+    const primary = getProvider(overrides);
+
+    const chain = [primaryId, ...(settings.fallbackProviders || [])]
+        .filter((id, index, all) => all.indexOf(id) === index);
+
+    let lastError = null;
+    let lastProviderId = null;
+
+    for (const providerId of chain) {
+        let provider = primary;
+
+        if (providerId !== primaryId) {
+            // Skip fallbacks that haven't been set up
+            const config = settings.providers[providerId];
+            if (getConfigError(providerId, config)) continue;
+
+            provider = createProvider(providerId, applyOverrides(config, overrides, false));
+            options.onFallback?.({ from: lastProviderId, to: providerId, error: lastError });
+        }
+
+        try {
+            const { text, texts, usage } = await runProvider(provider, providerId, emailBody, instruction, options);
+            return { text, texts, usage, providerId, provider };
+        } catch (error) {
+            if (!isFailoverError(error)) throw error;
+            lastError = error;
+            lastProviderId = providerId;
+        }
+    }
 
-    if (!config.apiKey) {
-        throw new Error(`No API key configured for ${activeProvider}. Please configure in settings.`);
+    throw lastError;
+}
+
+/**
+ * Normalise a response to {subject, body}, sending one repair request if it doesn't validate
+ * @param {Object} run - Result of runWithFallback
+ * @param {string} text - The response text to normalise
+ * @param {Object} options - Same options as processText
+ * @returns {Promise<{result: {subject: string, body: string}, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function normalizeWithRepair(run, text, options) {
+    const normalized = normalizeResult(text);
+    if (normalized.result) {
+        return { result: normalized.result, usage: toUsage() };
     }
 
-    switch (activeProvider) {
-        case 'openai':
-        case 'custom':
-            return new OpenAIProvider(config);
-        case 'claude':
-            return new ClaudeProvider(config);
-        case 'gemini':
-            return new GeminiProvider(config);
-        default:
-            throw new Error(`Unknown provider: ${activeProvider}`);
+    options.onRepair?.(normalized.error);
+    // The repair stands alone: the malformed reply is its email content, the conversation isn't needed
+    const repair = await runProvider(run.provider, run.providerId, text, buildRepairInstruction(normalized.error), {
+        ...options,
+        history: undefined,
+        images: undefined
+    });
+
+    const repaired = normalizeResult(repair.text);
+    if (repaired.result) {
+        return { result: repaired.result, usage: repair.usage };
+    }
+
+    throw new Error(`The AI response was not in the expected format: ${repaired.error}. Please try again.`);
+}
+
+/**
+ * Add up usage records
+ * @param {Array<{inputTokens: number, outputTokens: number}>} usages
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+function sumUsage(usages) {
+    return toUsage(
+        usages.reduce((total, usage) => total + usage.inputTokens, 0),
+        usages.reduce((total, usage) => total + usage.outputTokens, 0)
+    );
+}
+
+/**
+ * Wait for all promises, keeping the fulfilled values
+ * Rejects with the first error only if every promise failed.
+ * @param {Promise[]} promises
+ * @returns {Promise<Array>}
+ */
+async function settleFulfilled(promises) {
+    const settled = await Promise.allSettled(promises);
+    const values = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    if (values.length === 0) {
+        throw settled[0].reason;
     }
+    return values;
 }
 
 /**
  * Process text using the configured LLM provider
+ * If it fails with a network, quota or server error, the configured fallback providers are tried in order.
+ * The system prompt comes from the active style profile.
+ * The output is normalised to {subject, body}; if it doesn't validate, one repair request is sent
+ * to the provider that answered.
  * @param {string} emailBody 
  * @param {string} instruction 
- * @returns {Promise<string>}
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onProgress] - Stream the response, called with the text so far
+ * @param {AbortSignal} [options.signal] - Cancel the request; rejects with an AbortError
+ * @param {function(Object): void} [options.onRetry] - Notified before each automatic retry
+ * @param {function(Object): void} [options.onFallback] - Notified with {from, to, error} before switching provider
+ * @param {function(string): void} [options.onRepair] - Notified with the validation error before the repair request
+ * @param {string} [options.promptName] - Saved prompt name, recorded in the usage ledger
+ * @param {Object} [options.overrides] - Saved prompt's {provider, model, temperature, maxTokens}; the model
+ *   only applies to the pinned (or active) provider, the generation parameters also to fallbacks
+ * @param {number} [options.variants] - Number of alternative drafts; uses the API's `n`/candidateCount where
+ *   supported and parallel requests otherwise. Several drafts aren't streamed.
+ * @param {Array<{emailBody: string, instruction: string, response: string}>} [options.history] - Earlier turns
+ *   of a refinement conversation; pass an empty emailBody to refine the last response with the new instruction
+ * @param {Array<{placeholder: string, mimeType: string, data: string}>} [options.images] - The email's preserved
+ *   images (base64 data), sent as image parts to providers with the vision capability; turns in history can
+ *   carry their own images
+ * @returns {Promise<{subject: string, body: string, variants: Array<{subject: string, body: string}>, providerId: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+ *   subject/body are the first draft; drafts that can't be parsed are left out unless none can; model is the one
+ *   that answered, as reported by the provider (the relay reports its upstream model)
  */
-export async function processText(emailBody, instruction) {
-    const provider = getProvider();
-    return provider.processText(emailBody, instruction);
+export async function processText(emailBody, instruction, options = {}) {
+    const variantCount = Math.max(1, Math.floor(options.variants || 1));
+
+    options = {
+        ...options,
+        systemPrompt: buildSystemPrompt(styleProfiles.getActive().styleGuide)
+    };
+
+    let runs;
+    if (variantCount === 1) {
+        runs = [await runWithFallback(emailBody, instruction, options)];
+    } else {
+        options = { ...options, onProgress: undefined };
+
+        if (getProvider(options.overrides).supportsCandidates) {
+            runs = [await runWithFallback(emailBody, instruction, { ...options, candidates: variantCount })];
+        } else {
+            runs = await settleFulfilled(
+                Array.from({ length: variantCount }, () => runWithFallback(emailBody, instruction, options))
+            );
+        }
+    }
+
+    const candidates = runs.flatMap(run => (run.texts?.length ? run.texts : [run.text]).map(text => ({ run, text })));
+    const normalized = await settleFulfilled(
+        candidates.slice(0, variantCount).map(({ run, text }) => normalizeWithRepair(run, text, options))
+    );
+
+    const variants = normalized.map(n => n.result);
+    return {
+        ...variants[0],
+        variants,
+        providerId: runs[0].providerId,
+        model: runs[0].provider.model,
+        usage: sumUsage([...runs, ...normalized].map(r => r.usage))
+    };
 }
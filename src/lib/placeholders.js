@@ -0,0 +1,340 @@
+/**
+ * Integrity checks for the object placeholders in model output
+ * Tables and images are sent to the model as [[TABLE_n]] / [[IMAGE_n]] and put back afterwards,
+ * so a placeholder the model drops, repeats or rewrites loses or garbles an object. Links are sent as
+ * [[LINK_n]]text[[/LINK_n]] so the model can reword the text; the opening marker is the placeholder.
+ */
+import { findGridEnd, getTableClosingMarker } from './table-grid.js';
+
+/**
+ * Kinds of preserved objects, as they appear in placeholders
+ */
+export const PLACEHOLDER_KINDS = ['TABLE', 'IMAGE', 'LINK'];
+
+/**
+ * Web addresses in text or attributes, without trailing punctuation
+ */
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/gi;
+
+/**
+ * Anything that looks like a placeholder, including rewritten forms such as "[[Table 1]]" or "[IMAGE-2]"
+ */
+const PLACEHOLDER_LIKE_PATTERN = new RegExp(`\\[{1,2}\\s*(${PLACEHOLDER_KINDS.join('|')})[\\s_-]*(\\d+)\\s*\\]{1,2}`, 'gi');
+
+/**
+ * Closing tags and breaks after which an object can be inserted between blocks
+ */
+const BLOCK_BOUNDARY_PATTERN = /<\/(?:p|div|ul|ol|table|blockquote|h[1-6])>|<br\s*\/?>|\n\n/gi;
+
+/**
+ * The canonical placeholder for a kind and number
+ * @param {string} kind
+ * @param {string|number} number
+ * @returns {string}
+ */
+function toPlaceholder(kind, number) {
+    return `[[${kind.toUpperCase()}_${Number(number)}]]`;
+}
+
+/**
+ * Readable name of the object behind a placeholder, e.g. "Table 2"
+ * @param {string} placeholder
+ * @returns {string}
+ */
+export function describePlaceholder(placeholder) {
+    const [, kind, number] = placeholder.match(/^\[\[([A-Z]+)_(\d+)\]\]$/) || [];
+    return kind ? `${kind.charAt(0)}${kind.slice(1).toLowerCase()} ${number}` : placeholder;
+}
+
+/**
+ * Placeholders of preserved objects that were sent to the model
+ * Objects nested in another object (an image inside a table) have no placeholder of their own in the text.
+ * @param {string} source - Email content the conversation started from
+ * @param {Map} objectsMap - Map of placeholder -> original HTML
+ * @returns {string[]} - In the order they appear in the source
+ */
+export function getExpectedPlaceholders(source, objectsMap) {
+    return [...objectsMap.keys()]
+        .filter(placeholder => source.includes(placeholder))
+        .sort((a, b) => source.indexOf(a) - source.indexOf(b));
+}
+
+/**
+ * Compare the placeholders in a response with the ones that were sent
+ * @param {string} body - Response body, before the objects are restored
+ * @param {string[]} expected - From getExpectedPlaceholders
+ * @param {string} [source] - Email content the conversation started from, to check the closing markers
+ * @returns {{ok: boolean, missing: string[], duplicated: string[], altered: Array<{text: string, placeholder: string}>, invented: string[], unclosed: string[]}}
+ *   altered lists rewritten forms of expected placeholders; invented lists placeholder-like text matching no object;
+ *   unclosed lists editable tables whose closing marker is gone
+ */
+export function checkPlaceholders(body, expected, source = '') {
+    const counts = new Map();
+    const altered = [];
+    const invented = [];
+
+    for (const match of body.matchAll(PLACEHOLDER_LIKE_PATTERN)) {
+        const placeholder = toPlaceholder(match[1], match[2]);
+        if (!expected.includes(placeholder)) {
+            invented.push(match[0]);
+            continue;
+        }
+
+        counts.set(placeholder, (counts.get(placeholder) || 0) + 1);
+        if (match[0] !== placeholder) {
+            altered.push({ text: match[0], placeholder });
+        }
+    }
+
+    const missing = expected.filter(placeholder => !counts.has(placeholder));
+    const duplicated = expected.filter(placeholder => counts.get(placeholder) > 1);
+    const unclosed = findUnclosed(body, expected, source);
+
+    return {
+        ok: missing.length + duplicated.length + altered.length + invented.length + unclosed.length === 0,
+        missing,
+        duplicated,
+        altered,
+        invented,
+        unclosed
+    };
+}
+
+/**
+ * Text without object placeholders, keeping the text of links
+ * For content sent as context only, whose objects aren't restored.
+ * @param {string} text
+ * @returns {string}
+ */
+export function removePlaceholders(text) {
+    return text
+        .replace(/\[\[\/LINK_\d+\]\]/g, '')
+        .replace(PLACEHOLDER_LIKE_PATTERN, '');
+}
+
+/**
+ * Closing marker of a link or editable table placeholder, also matching rewritten forms
+ * @param {string} placeholder - e.g. [[LINK_1]]
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+export function getClosingPattern(placeholder, flags = 'i') {
+    const [, kind, number] = placeholder.match(/^\[\[([A-Z]+)_(\d+)\]\]$/);
+    return new RegExp(`\\[{1,2}\\s*\\/\\s*${kind}[\\s_-]*0*${number}\\s*\\]{1,2}`, flags);
+}
+
+/**
+ * Placeholders sent with a closing marker that the response has lost
+ * Tables sent as editable grids end with [[/TABLE_n]]; without it the cell texts can't be told from the text after them.
+ * @param {string} body - Response body, before the objects are restored
+ * @param {string[]} expected - From getExpectedPlaceholders
+ * @param {string} source - Email content the conversation started from
+ * @returns {string[]}
+ */
+function findUnclosed(body, expected, source) {
+    return expected.filter(placeholder => placeholder.startsWith('[[TABLE_') &&
+        getClosingPattern(placeholder).test(source) &&
+        body.includes(placeholder) &&
+        !getClosingPattern(placeholder).test(body.slice(body.indexOf(placeholder))));
+}
+
+/**
+ * Normalise a URL for comparison
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+    return url.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '').replace(/&amp;/g, '&');
+}
+
+/**
+ * URLs in a response that weren't in the input
+ * The model should only link through [[LINK_n]] markers, so any other URL may be made up.
+ * @param {string} body - Response body, before the objects are restored
+ * @param {string} source - Email content the conversation started from
+ * @param {Map} objectsMap - Map of placeholder -> original HTML; hrefs in tables and links count as known
+ * @returns {string[]}
+ */
+export function findNewUrls(body, source, objectsMap) {
+    const known = new Set(
+        [source, ...objectsMap.values()].flatMap(text => text.match(URL_PATTERN) || []).map(normalizeUrl)
+    );
+    const found = (body.match(URL_PATTERN) || []).filter(url => !known.has(normalizeUrl(url)));
+    return [...new Set(found)];
+}
+
+/**
+ * Words of source text before an object used to find its place again
+ */
+const ANCHOR_WORDS = 6;
+
+/**
+ * Text of a body, lowercased with whitespace collapsed, with the body index each character ends at
+ * Tags and placeholders count as whitespace, so words in adjacent elements stay apart.
+ * @param {string} body
+ * @returns {{text: string, ends: number[]}}
+ */
+function getBodyText(body) {
+    let text = '';
+    const ends = [];
+    const add = (ch, end) => {
+        if (/\s/.test(ch)) {
+            if (text === '' || text.endsWith(' ')) return;
+            ch = ' ';
+        }
+        text += ch.toLowerCase();
+        ends.push(end);
+    };
+
+    for (const match of body.matchAll(/<[^>]*>|\[\[[^\]]*\]\]|[^<[]+|\[/g)) {
+        if (/^(?:<|\[\[)/.test(match[0])) {
+            add(' ', match.index + match[0].length);
+        } else {
+            [...match[0]].forEach((ch, i) => add(ch, match.index + i + 1));
+        }
+    }
+    return { text, ends };
+}
+
+/**
+ * Block boundaries of a body, in order; boundaries with only tags between them count once, at the last
+ * @param {string} body
+ * @returns {number[]}
+ */
+function getBlockBoundaries(body) {
+    const boundaries = [];
+    for (const match of body.matchAll(BLOCK_BOUNDARY_PATTERN)) {
+        const index = match.index + match[0].length;
+        const previous = boundaries[boundaries.length - 1];
+        if (previous !== undefined && !body.slice(previous, index).replace(/<[^>]*>/g, '').trim()) {
+            boundaries[boundaries.length - 1] = index;
+        } else {
+            boundaries.push(index);
+        }
+    }
+    return boundaries;
+}
+
+/**
+ * Find where the source text just before an object is in the body
+ * @param {string} body
+ * @param {string} textBefore - Source text before the object, without placeholders
+ * @param {number} target - Estimated index, to choose between several matches
+ * @returns {number} - Body index after the matched text, or -1
+ */
+function findTextAnchor(body, textBefore, target) {
+    const anchor = textBefore.toLowerCase().split(/\s+/).filter(Boolean).slice(-ANCHOR_WORDS).join(' ');
+    if (!anchor) return -1;
+
+    const { text, ends } = getBodyText(body);
+    const isWordChar = (ch) => ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+
+    let best = -1;
+    for (let pos = text.indexOf(anchor); pos !== -1; pos = text.indexOf(anchor, pos + 1)) {
+        if (isWordChar(text[pos - 1]) || isWordChar(text[pos + anchor.length])) continue;
+
+        const end = ends[pos + anchor.length - 1];
+        if (best === -1 || Math.abs(end - target) < Math.abs(best - target)) best = end;
+    }
+    return best;
+}
+
+/**
+ * Index in the body just after an object
+ * The opening marker of a link or an editable table is followed by its text, so these end after their closing marker.
+ * @param {string} body
+ * @param {string} placeholder - Present in the body
+ * @returns {number}
+ */
+function getObjectEnd(body, placeholder) {
+    const end = body.indexOf(placeholder) + placeholder.length;
+    const closing = getClosingPattern(placeholder).exec(body.slice(end));
+    return closing ? end + closing.index + closing[0].length : end;
+}
+
+/**
+ * Index in the body where a missing object goes, based on where it was in the source
+ * Next to the closest object before it in the body, else before the closest one after it. Otherwise after
+ * the block holding the source text just before it, else after as many blocks as preceded it in the source,
+ * and only as a last resort at the block boundary nearest its relative position in the source.
+ * @param {string} body
+ * @param {string} placeholder
+ * @param {string[]} expected - In source order
+ * @param {Set<string>} anchors - Placeholders in the body whose position is known to be right
+ * @param {string} source
+ * @returns {{index: number, standalone: boolean}} - standalone when not next to another object
+ */
+function findInsertPosition(body, placeholder, expected, anchors, source) {
+    const position = expected.indexOf(placeholder);
+
+    const before = expected.slice(0, position).reverse().find(p => anchors.has(p));
+    if (before) {
+        return { index: getObjectEnd(body, before), standalone: false };
+    }
+
+    const after = expected.slice(position + 1).find(p => anchors.has(p));
+    if (after) {
+        return { index: body.indexOf(after), standalone: false };
+    }
+
+    const boundaries = getBlockBoundaries(body);
+    const target = body.length * (source.indexOf(placeholder) / Math.max(source.length, 1));
+    const textBefore = source.slice(0, source.indexOf(placeholder)).replace(/\[\[[^\]]*\]\]/g, ' ');
+
+    // After the block holding the text that preceded it
+    const anchorEnd = findTextAnchor(body, textBefore, target);
+    if (anchorEnd !== -1) {
+        return { index: boundaries.find(b => b >= anchorEnd) ?? body.length, standalone: true };
+    }
+
+    // After as many blocks as preceded it
+    const blocksBefore = textBefore.split('\n').filter(line => line.trim()).length;
+    if (blocksBefore === 0) {
+        return { index: 0, standalone: true };
+    }
+    if (blocksBefore <= boundaries.length) {
+        return { index: boundaries[blocksBefore - 1], standalone: true };
+    }
+
+    const index = [0, body.length, ...boundaries]
+        .reduce((best, b) => (Math.abs(b - target) < Math.abs(best - target) ? b : best), 0);
+    return { index, standalone: true };
+}
+
+/**
+ * Fix the placeholders in a response
+ * Rewritten placeholders are put back in their exact form, repeats and invented ones are removed,
+ * missing ones are re-inserted at their original relative position, and editable tables that lost their
+ * closing marker get it back after their cell texts.
+ * @param {string} body - Response body, before the objects are restored
+ * @param {string[]} expected - From getExpectedPlaceholders
+ * @param {string} source - Email content the conversation started from
+ * @returns {string}
+ */
+export function repairPlaceholders(body, expected, source) {
+    const seen = new Set();
+    let repaired = body.replace(PLACEHOLDER_LIKE_PATTERN, (text, kind, number) => {
+        const placeholder = toPlaceholder(kind, number);
+        if (!expected.includes(placeholder) || seen.has(placeholder)) return '';
+
+        seen.add(placeholder);
+        return placeholder;
+    });
+
+    // Objects placed next to a surviving one can anchor the next; one placed by relative position can't
+    const anchors = new Set(seen);
+    const isHtml = /<[a-z][\s\S]*>/i.test(repaired);
+    for (const placeholder of expected.filter(p => !seen.has(p))) {
+        const { index, standalone } = findInsertPosition(repaired, placeholder, expected, anchors, source);
+        const insert = !standalone ? placeholder : isHtml ? `<div>${placeholder}</div>` : `\n\n${placeholder}\n\n`;
+        repaired = repaired.slice(0, index) + insert + repaired.slice(index);
+        if (!standalone) anchors.add(placeholder);
+    }
+
+    for (const placeholder of findUnclosed(repaired, expected, source)) {
+        const index = findGridEnd(repaired, repaired.indexOf(placeholder) + placeholder.length);
+        repaired = repaired.slice(0, index) + getTableClosingMarker(placeholder) + repaired.slice(index);
+    }
+
+    return repaired;
+}
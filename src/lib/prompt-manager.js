@@ -2,9 +2,10 @@ import { storage } from './storage.js';
 
 /**
  * Generate a simple UUID
+ * Also used for the ids of style profiles.
  * @returns {string}
  */
-function generateId() {
+export function generateId() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
         const r = Math.random() * 16 | 0;
         const v = c === 'x' ? r : (r & 0x3 | 0x8);
@@ -12,10 +13,28 @@ function generateId() {
     });
 }
 
+/**
+ * Keep only the override fields that are set
+ * @param {Object} [overrides]
+ * @param {string} [overrides.provider] - Provider id, e.g. 'claude'
+ * @param {string} [overrides.model]
+ * @param {number} [overrides.temperature]
+ * @param {number} [overrides.maxTokens]
+ * @returns {Object}
+ */
+function cleanOverrides(overrides = {}) {
+    const cleaned = {};
+    if (overrides.provider) cleaned.provider = overrides.provider;
+    if (overrides.model?.trim()) cleaned.model = overrides.model.trim();
+    if (Number.isFinite(overrides.temperature)) cleaned.temperature = overrides.temperature;
+    if (Number.isFinite(overrides.maxTokens) && overrides.maxTokens > 0) cleaned.maxTokens = Math.round(overrides.maxTokens);
+    return cleaned;
+}
+
 export const promptManager = {
     /**
      * Get all saved prompts
-     * @returns {Array<{id: string, name: string, instruction: string}>}
+     * @returns {Array<{id: string, name: string, instruction: string, overrides?: Object}>}
      */
     getAll() {
         return storage.getSavedPrompts();
@@ -35,14 +54,16 @@ export const promptManager = {
      * Add a new prompt
      * @param {string} name 
      * @param {string} instruction 
+     * @param {Object} [overrides] - Optional provider, model, temperature and maxTokens to use with this prompt
      * @returns {Object} The created prompt
      */
-    add(name, instruction) {
+    add(name, instruction, overrides) {
         const prompts = this.getAll();
         const newPrompt = {
             id: generateId(),
             name: name.trim(),
-            instruction: instruction.trim()
+            instruction: instruction.trim(),
+            overrides: cleanOverrides(overrides)
         };
         prompts.push(newPrompt);
         storage.setSavedPrompts(prompts);
@@ -54,9 +75,10 @@ export const promptManager = {
      * @param {string} id 
      * @param {string} name 
      * @param {string} instruction 
+     * @param {Object} [overrides] - Optional provider, model, temperature and maxTokens to use with this prompt
      * @returns {boolean}
      */
-    update(id, name, instruction) {
+    update(id, name, instruction, overrides) {
         const prompts = this.getAll();
         const index = prompts.findIndex(p => p.id === id);
         if (index === -1) return false;
@@ -64,7 +86,8 @@ export const promptManager = {
         prompts[index] = {
             ...prompts[index],
             name: name.trim(),
-            instruction: instruction.trim()
+            instruction: instruction.trim(),
+            overrides: cleanOverrides(overrides)
         };
         storage.setSavedPrompts(prompts);
         return true;
@@ -0,0 +1,95 @@
+import { createApiError } from './base.js';
+import { OpenAIProvider } from './openai.js';
+
+/**
+ * Summarise Azure content filter results, e.g. "hate (medium), violence (high)"
+ * @param {Object} results - content_filter_result(s) object from Azure
+ * @returns {string}
+ */
+function describeContentFilter(results) {
+    if (!results) return '';
+
+    return Object.entries(results)
+        .filter(([, result]) => result?.filtered)
+        .map(([category, result]) => result.severity ? `${category} (${result.severity})` : category)
+        .join(', ');
+}
+
+/**
+ * Azure OpenAI Provider
+ * Uses deployment-scoped URLs with an api-version query parameter and an api-key header
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(config) {
+        super({ ...config, structuredOutput: true });
+        this.deployment = config.deployment;
+        this.apiVersion = config.apiVersion;
+        // Azure routes by deployment; the model field is only informational
+        this.model = config.deployment;
+    }
+
+    get chatUrl() {
+        const deployment = encodeURIComponent(this.deployment);
+        const apiVersion = encodeURIComponent(this.apiVersion);
+        return `${this.endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+    }
+
+    get headers() {
+        return {
+            'Content-Type': 'application/json',
+            'api-key': this.apiKey
+        };
+    }
+
+    /**
+     * Azure's data-plane API can't list deployments with an API key
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        return [];
+    }
+
+    createError(error, status) {
+        const details = error.error;
+
+        if (details?.code === 'content_filter') {
+            const categories = describeContentFilter(details.innererror?.content_filter_result);
+            return createApiError(
+                `Azure's content filter rejected the request${categories ? ` (${categories})` : ''}. ` +
+                'Rephrase the email or instruction and try again.',
+                status
+            );
+        }
+
+        if (details?.code === 'DeploymentNotFound') {
+            return createApiError(`Azure deployment "${this.deployment}" was not found. Check the deployment name in settings.`, status);
+        }
+
+        return createApiError(details?.message || `Azure OpenAI API error: ${status}`, status);
+    }
+
+    createContentFilterError(choice) {
+        const categories = describeContentFilter(choice.content_filter_results);
+        return new Error(
+            `Azure's content filter blocked the response${categories ? ` (${categories})` : ''}. ` +
+            'Rephrase the email or instruction and try again.'
+        );
+    }
+}
+
+/**
+ * Azure OpenAI registry entry
+ */
+export const azure = {
+    id: 'azure',
+    name: 'Azure OpenAI',
+    icon: '☁️',
+    capabilities: { streaming: true, jsonMode: true, vision: true },
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', required: true, default: '' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', required: true, default: '', placeholder: 'https://my-resource.openai.azure.com', hint: 'Resource endpoint, e.g. https://my-resource.openai.azure.com' },
+        { key: 'deployment', label: 'Deployment Name', type: 'text', required: true, default: '', placeholder: 'e.g., gpt-4o', hint: 'The name given to the model deployment in your Azure resource' },
+        { key: 'apiVersion', label: 'API Version', type: 'text', default: '2024-10-21', placeholder: 'e.g., 2024-10-21', hint: 'Sent as the api-version query parameter' }
+    ],
+    create: (config) => new AzureOpenAIProvider(config)
+};
@@ -0,0 +1,397 @@
+/**
+ * Shared building blocks for provider adapters: the system prompt, HTTP helpers and the LLMProvider base class
+ */
+import { DEFAULT_STYLE_GUIDE } from '../style-profiles.js';
+
+/**
+ * Rules every system prompt ends with, whatever the style profile says
+ * The parser depends on the JSON shape and restorePreservedObjects on the placeholders, so users can't edit these.
+ */
+export const PROTECTED_SYSTEM_RULES = `OUTPUT FORMAT (these rules always apply and take precedence over the style guide):
+- You MUST respond with valid JSON in this exact format:
+{
+  "subject": "Your suggested subject line here",
+  "body": "<p>Your HTML-formatted email body here</p>"
+}
+- Do not include any text outside the JSON object
+- Do not use markdown syntax - use only HTML tags in the body
+
+OBJECT PRESERVATION:
+- The input may contain placeholders like [[TABLE_1]] or [[IMAGE_1]].
+- These represent embedded tables or images that MUST be preserved exactly as-is.
+- Include these placeholders in your output in their appropriate relative positions.
+- Do NOT modify, remove, or rewrite the placeholder text.
+- Links appear as [[LINK_1]]link text[[/LINK_1]]. Keep both markers around the link; you may reword the text between them.
+- Never write URLs yourself: every link must come from a [[LINK_n]] marker or appear in the input.
+- An editable table appears between [[TABLE_1]] and [[/TABLE_1]], one cell per [[R1C1]] marker (row 1, cell 1).
+  Keep the block and every marker, and only rewrite the text after each marker; don't add, remove or merge cells.`;
+
+/**
+ * Build the system prompt from a style profile's guide and the protected rules
+ * @param {string} [styleGuide] - Tone and formatting guidance; defaults to the built-in style
+ * @returns {string}
+ */
+export function buildSystemPrompt(styleGuide = DEFAULT_STYLE_GUIDE) {
+    return `You are an expert email assistant. When given an email body and an instruction, you must:
+1. Generate an appropriate email subject line
+2. Generate the improved/modified email body based on the instruction
+
+STYLE GUIDE:
+${styleGuide.trim() || DEFAULT_STYLE_GUIDE}
+
+${PROTECTED_SYSTEM_RULES}`;
+}
+
+/**
+ * JSON schema for the {subject, body} result, used for native structured output
+ */
+export const RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        subject: {
+            type: 'string',
+            description: 'Suggested email subject line'
+        },
+        body: {
+            type: 'string',
+            description: 'HTML-formatted email body'
+        }
+    },
+    required: ['subject', 'body'],
+    additionalProperties: false
+};
+
+/**
+ * HTTP statuses worth retrying: rate limits, transient server errors and Anthropic's "overloaded"
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+/**
+ * Wait for a given time, rejecting early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Honours the Retry-After header (seconds or HTTP date), otherwise exponential backoff with jitter
+ * @param {Response} response
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (ms >= 0) return Math.min(ms, RETRY_MAX_DELAY_MS);
+    }
+
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff + Math.random() * RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Create an Error carrying the HTTP status of a failed provider call
+ * @param {string} message
+ * @param {number} [status]
+ * @returns {Error}
+ */
+export function createApiError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Check whether a response is a server-sent event stream.
+ * Some OpenAI-compatible servers ignore `stream: true` and answer with plain JSON.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isEventStream(response) {
+    return (response.headers.get('content-type') || '').includes('text/event-stream');
+}
+
+/**
+ * Read a server-sent event stream and hand each JSON `data:` payload to a callback
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {function(Object): void} onData - Called once per parsed event payload
+ */
+export async function readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (e) {
+            // Keep-alive comments or non-JSON frames, skip
+            return;
+        }
+        onData(payload);
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+}
+
+/**
+ * Read a newline-delimited JSON stream (Ollama's streaming format)
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {function(Object): void} onData - Called once per parsed line
+ */
+export async function readJsonLines(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(line);
+        } catch (e) {
+            return;
+        }
+        onData(payload);
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+}
+
+/**
+ * Sampling temperature used unless a saved prompt overrides it
+ */
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Build a usage record from provider token counts
+ * @param {number} [inputTokens]
+ * @param {number} [outputTokens]
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export function toUsage(inputTokens, outputTokens) {
+    return {
+        inputTokens: inputTokens || 0,
+        outputTokens: outputTokens || 0
+    };
+}
+
+/**
+ * Build the user message for one conversation turn
+ * @param {{emailBody: string, instruction: string}} turn
+ * @returns {string}
+ */
+function formatUserTurn({ emailBody, instruction }) {
+    if (!emailBody) {
+        return `Follow-up instruction: ${instruction}\n\n` +
+            'Apply it to your previous reply and return the complete revised email in the same JSON format, ' +
+            'keeping everything the instruction doesn\'t ask to change.';
+    }
+    return `Instruction: ${instruction}\n\nEmail content:\n${emailBody}`;
+}
+
+/**
+ * Base LLM Provider class
+ */
+export class LLMProvider {
+    constructor(config) {
+        this.apiKey = config.apiKey;
+        this.endpoint = config.endpoint;
+        this.model = config.model;
+        this.temperature = config.temperature ?? DEFAULT_TEMPERATURE;
+        // Output token limit; when unset the provider's own default applies
+        this.maxTokens = config.maxTokens;
+    }
+
+    /**
+     * @param {string} emailBody
+     * @param {string} instruction
+     * @param {Object} [options]
+     * @param {function(string): void} [options.onProgress] - Enables streaming; receives the text accumulated so far
+     * @param {AbortSignal} [options.signal] - Aborts the underlying fetch
+     * @param {number} [options.maxRetries] - Retries for rate-limit and transient 5xx responses
+     * @param {function(Object): void} [options.onRetry] - Called before each retry with {attempt, maxRetries, delay, status}
+     * @param {string} [options.systemPrompt] - Overrides the default system prompt
+     * @param {number} [options.candidates] - Alternative responses to request in one call, if supportsCandidates
+     * @param {Array<{emailBody: string, instruction: string, response: string}>} [options.history] - Earlier turns of
+     *   the conversation, each with the assistant's reply; sent before the current instruction
+     * @param {Array<{placeholder: string, mimeType: string, data: string}>} [options.images] - Images of the email,
+     *   sent with the current instruction; history turns can carry their own images
+     * @returns {Promise<{text: string, texts?: string[], usage: {inputTokens: number, outputTokens: number}}>}
+     *   texts holds every candidate when several were requested
+     */
+    async processText(emailBody, instruction, options = {}) {
+        throw new Error('processText must be implemented by subclass');
+    }
+
+    /**
+     * System prompt for a request
+     * @param {Object} options - Same options as processText; options.systemPrompt is set by the exported processText
+     * @returns {string}
+     */
+    getSystemPrompt(options) {
+        return options.systemPrompt || buildSystemPrompt();
+    }
+
+    /**
+     * Conversation for a request: the turns in options.history, then the current instruction
+     * @param {string} emailBody - Empty on a follow-up, which refines the previous reply instead
+     * @param {string} instruction
+     * @param {Object} options - Same options as processText
+     * @returns {Array<{role: string, content: string}>} - Alternating 'user' and 'assistant' messages
+     */
+    buildMessages(emailBody, instruction, options) {
+        const turns = [...(options.history || []), { emailBody, instruction, images: options.images }];
+
+        return turns.flatMap(turn => [
+            {
+                role: 'user',
+                content: formatUserTurn(turn),
+                ...(turn.images?.length ? { images: turn.images } : {})
+            },
+            ...(turn.response ? [{ role: 'assistant', content: turn.response }] : [])
+        ]);
+    }
+
+    /**
+     * Message content in the provider's format
+     * Plain text, or the text followed by each image labelled with its placeholder so the model
+     * can refer to it and keep the placeholder in place.
+     * @param {{content: string, images?: Array}} message - Message from buildMessages
+     * @returns {string|Array<Object>}
+     */
+    formatContent(message) {
+        if (!message.images?.length) return message.content;
+
+        return [
+            this.textPart(message.content),
+            ...message.images.flatMap(image => [this.textPart(`${image.placeholder}:`), this.imagePart(image)])
+        ];
+    }
+
+    /**
+     * Text content part
+     * @param {string} text
+     * @returns {Object}
+     */
+    textPart(text) {
+        return { type: 'text', text };
+    }
+
+    /**
+     * Image content part, for providers with the vision capability
+     * @param {{placeholder: string, mimeType: string, data: string}} image - data is base64
+     * @returns {Object}
+     */
+    imagePart(image) {
+        throw new Error('This provider does not accept images');
+    }
+
+    /**
+     * List the models available to this account
+     * Providers without a listing endpoint return an empty list.
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        return [];
+    }
+
+    /**
+     * Whether one request can return several candidates (options.candidates)
+     * @returns {boolean}
+     */
+    get supportsCandidates() {
+        return false;
+    }
+
+    /**
+     * Send one HTTP request
+     * @param {string} url
+     * @param {RequestInit} init
+     * @returns {Promise<Response>}
+     */
+    send(url, init) {
+        return fetch(url, init);
+    }
+
+    /**
+     * fetch() with abort support and exponential-backoff retry on retryable statuses
+     * Network failures are rethrown with error.network set.
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {Object} options - Same options as processText
+     * @returns {Promise<Response>}
+     */
+    async fetchWithRetry(url, init, options = {}) {
+        const { signal, maxRetries = 0, onRetry } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await this.send(url, { ...init, signal });
+            } catch (error) {
+                // fetch() rejects with a TypeError when the server can't be reached or CORS blocks it
+                if (error instanceof TypeError) error.network = true;
+                throw error;
+            }
+
+            if (!RETRYABLE_STATUSES.has(response.status) || attempt >= maxRetries) {
+                return response;
+            }
+
+            const delay = getRetryDelay(response, attempt);
+            onRetry?.({ attempt: attempt + 1, maxRetries, delay, status: response.status });
+            await sleep(delay, signal);
+        }
+    }
+}
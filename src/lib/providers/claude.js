@@ -0,0 +1,130 @@
+import { LLMProvider, RESULT_SCHEMA, createApiError, isEventStream, readEventStream, toUsage } from './base.js';
+
+/**
+ * Claude requires max_tokens; used unless a saved prompt overrides it
+ */
+const DEFAULT_CLAUDE_MAX_TOKENS = 4096;
+
+/**
+ * Name of the tool Claude is forced to call with the structured result
+ */
+const CLAUDE_RESULT_TOOL = 'write_email';
+
+/**
+ * Claude (Anthropic) Provider
+ */
+class ClaudeProvider extends LLMProvider {
+    get headers() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    /**
+     * List models from the /v1/models endpoint
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        const response = await fetch(`${this.endpoint}/v1/models?limit=1000`, { headers: this.headers });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Claude API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return (data.data || []).map(m => m.id);
+    }
+
+    imagePart(image) {
+        return { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } };
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        const stream = typeof options.onProgress === 'function';
+
+        const response = await this.fetchWithRetry(`${this.endpoint}/v1/messages`, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                model: this.model,
+                max_tokens: this.maxTokens || DEFAULT_CLAUDE_MAX_TOKENS,
+                // Claude accepts temperatures up to 1
+                temperature: Math.min(this.temperature, 1),
+                system: this.getSystemPrompt(options),
+                messages: this.buildMessages(emailBody, instruction, options).map(message => ({
+                    role: message.role,
+                    content: this.formatContent(message)
+                })),
+                // Forcing a tool call makes Claude return the result as schema-shaped tool input
+                tools: [
+                    {
+                        name: CLAUDE_RESULT_TOOL,
+                        description: 'Return the suggested email subject and HTML body.',
+                        input_schema: RESULT_SCHEMA
+                    }
+                ],
+                tool_choice: { type: 'tool', name: CLAUDE_RESULT_TOOL },
+                stream
+            })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Claude API error: ${response.status}`, response.status);
+        }
+
+        if (stream && isEventStream(response)) {
+            let text = '';
+            let usage = toUsage();
+            await readEventStream(response, (data) => {
+                if (data.type === 'message_start') {
+                    usage = toUsage(data.message?.usage?.input_tokens, data.message?.usage?.output_tokens);
+                }
+                if (data.type === 'message_delta' && data.usage) {
+                    usage = toUsage(usage.inputTokens, data.usage.output_tokens);
+                }
+                if (data.type === 'error') {
+                    // Overloaded errors can arrive mid-stream; give them Anthropic's 529 status
+                    const status = data.error?.type === 'overloaded_error' ? 529 : undefined;
+                    throw createApiError(data.error?.message || 'Claude stream error', status);
+                }
+                if (data.type === 'content_block_delta') {
+                    const delta = data.delta?.partial_json ?? data.delta?.text;
+                    if (delta) {
+                        text += delta;
+                        options.onProgress(text);
+                    }
+                }
+            });
+            return { text: text || '{}', usage };
+        }
+
+        const data = await response.json();
+        const usage = toUsage(data.usage?.input_tokens, data.usage?.output_tokens);
+        const toolUse = data.content.find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return { text: JSON.stringify(toolUse.input), usage };
+        }
+        return { text: data.content.find(block => block.type === 'text')?.text || '{}', usage };
+    }
+}
+
+/**
+ * Claude registry entry
+ */
+export const claude = {
+    id: 'claude',
+    name: 'Claude',
+    icon: '🎭',
+    capabilities: { streaming: true, jsonMode: true, vision: true },
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', required: true, default: '' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', default: 'https://api.anthropic.com', hint: 'Default: https://api.anthropic.com' },
+        { key: 'model', label: 'Model', type: 'model', default: 'claude-sonnet-4-5', hint: 'e.g., claude-sonnet-4-5, claude-haiku-4-5' }
+    ],
+    create: (config) => new ClaudeProvider(config)
+};
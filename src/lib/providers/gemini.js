@@ -0,0 +1,130 @@
+import { LLMProvider, createApiError, isEventStream, readEventStream, toUsage } from './base.js';
+
+/**
+ * Gemini's responseSchema uses an OpenAPI subset without additionalProperties
+ */
+const GEMINI_RESULT_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        subject: { type: 'STRING' },
+        body: { type: 'STRING' }
+    },
+    required: ['subject', 'body'],
+    propertyOrdering: ['subject', 'body']
+};
+
+/**
+ * Google Gemini Provider
+ */
+class GeminiProvider extends LLMProvider {
+    get supportsCandidates() {
+        return true;
+    }
+
+    /**
+     * List models that support generateContent from the /v1beta/models endpoint
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        const response = await fetch(`${this.endpoint}/v1beta/models?pageSize=1000&key=${this.apiKey}`);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Gemini API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return (data.models || [])
+            .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''));
+    }
+
+    formatContent(message) {
+        // Gemini always takes a parts array
+        return message.images?.length ? super.formatContent(message) : [this.textPart(message.content)];
+    }
+
+    textPart(text) {
+        return { text };
+    }
+
+    imagePart(image) {
+        return { inline_data: { mime_type: image.mimeType, data: image.data } };
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        const stream = typeof options.onProgress === 'function';
+        const url = stream
+            ? `${this.endpoint}/v1beta/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`
+            : `${this.endpoint}/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+
+        const response = await this.fetchWithRetry(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                // Gemini calls the assistant role "model"; the system prompt leads the first user turn
+                contents: this.buildMessages(emailBody, instruction, options).map((message, index) => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: this.formatContent({
+                        ...message,
+                        content: index === 0 ? `${this.getSystemPrompt(options)}\n\n${message.content}` : message.content
+                    })
+                })),
+                generationConfig: {
+                    temperature: this.temperature,
+                    ...(this.maxTokens ? { maxOutputTokens: this.maxTokens } : {}),
+                    ...(options.candidates > 1 ? { candidateCount: options.candidates } : {}),
+                    responseMimeType: "application/json",
+                    responseSchema: GEMINI_RESULT_SCHEMA
+                }
+            })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Gemini API error: ${response.status}`, response.status);
+        }
+
+        if (stream && isEventStream(response)) {
+            let text = '';
+            let usage = toUsage();
+            await readEventStream(response, (data) => {
+                // Each chunk reports cumulative usage; keep the latest
+                if (data.usageMetadata) {
+                    usage = toUsage(data.usageMetadata.promptTokenCount, data.usageMetadata.candidatesTokenCount);
+                }
+                const delta = data.candidates?.[0]?.content?.parts?.[0]?.text;
+                if (delta) {
+                    text += delta;
+                    options.onProgress(text);
+                }
+            });
+            return { text: text || '{}', usage };
+        }
+
+        const data = await response.json();
+        return {
+            text: data.candidates[0]?.content?.parts[0]?.text || '{}',
+            texts: data.candidates.map(c => c.content?.parts?.[0]?.text || '{}'),
+            usage: toUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount)
+        };
+    }
+}
+
+/**
+ * Gemini registry entry
+ */
+export const gemini = {
+    id: 'gemini',
+    name: 'Gemini',
+    icon: '💎',
+    capabilities: { streaming: true, jsonMode: true, vision: true },
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', required: true, default: '' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', default: 'https://generativelanguage.googleapis.com', hint: 'Default: https://generativelanguage.googleapis.com' },
+        { key: 'model', label: 'Model', type: 'model', default: 'gemini-2.5-flash', hint: 'e.g., gemini-2.5-flash, gemini-2.5-pro' }
+    ],
+    create: (config) => new GeminiProvider(config)
+};
@@ -0,0 +1,95 @@
+/**
+ * Provider registry
+ * Each provider module declares its id, display name, config fields, capabilities and adapter.
+ * Storage defaults, the settings form and display names are all generated from this list,
+ * so adding a provider only means adding a module and listing it here.
+ */
+import { openai, custom } from './openai.js';
+import { azure } from './azure.js';
+import { claude } from './claude.js';
+import { gemini } from './gemini.js';
+import { ollama } from './ollama.js';
+import { relay } from './relay.js';
+import { mock } from './mock.js';
+
+/**
+ * @typedef {Object} ProviderField
+ * @property {string} key - Config property; also the id of the settings input
+ * @property {string} label
+ * @property {string} type - 'password', 'url', 'text', 'number', 'select', or 'model' (text with model discovery)
+ * @property {string} default - Value in a fresh config
+ * @property {boolean} [required] - The provider can't be used while the field is empty
+ * @property {string} [placeholder]
+ * @property {string} [hint]
+ * @property {Array<{value: string, label: string}>} [options] - Choices for select fields
+ * @property {Object<string, number>} [attributes] - Extra input attributes, e.g. {min: 0}
+ */
+
+/**
+ * @typedef {Object} ProviderDefinition
+ * @property {string} id
+ * @property {string} name - Display name
+ * @property {string} icon - Shown on the settings card
+ * @property {ProviderField[]} fields
+ * @property {{streaming: boolean, jsonMode: boolean, vision: boolean}} capabilities
+ * @property {string} [corsHint] - Added to connection-test errors when the endpoint can't be reached
+ * @property {function(Object): import('./base.js').LLMProvider} create - Request/response adapter for a config
+ */
+
+/**
+ * Registered providers, in settings display order
+ * @type {ProviderDefinition[]}
+ */
+export const PROVIDERS = [openai, azure, claude, gemini, ollama, custom, relay, mock];
+
+/**
+ * Get a provider's registry entry
+ * @param {string} providerId
+ * @returns {ProviderDefinition|undefined}
+ */
+export function getProviderDefinition(providerId) {
+    return PROVIDERS.find(provider => provider.id === providerId);
+}
+
+/**
+ * Get a provider's display name, falling back to its id
+ * @param {string} providerId
+ * @returns {string}
+ */
+export function getProviderName(providerId) {
+    return getProviderDefinition(providerId)?.name || providerId;
+}
+
+/**
+ * Check whether a provider needs an API key to be usable
+ * @param {string} providerId
+ * @returns {boolean}
+ */
+export function requiresApiKey(providerId) {
+    return Boolean(getProviderDefinition(providerId)?.fields.find(field => field.key === 'apiKey')?.required);
+}
+
+/**
+ * Build a fresh config for every provider from the field defaults
+ * @returns {Object<string, Object>}
+ */
+export function getDefaultProviderConfigs() {
+    return Object.fromEntries(PROVIDERS.map(provider => [
+        provider.id,
+        Object.fromEntries(provider.fields.map(field => [field.key, field.default]))
+    ]));
+}
+
+/**
+ * Create the request adapter for a provider
+ * @param {string} providerId
+ * @param {Object} config
+ * @returns {import('./base.js').LLMProvider}
+ */
+export function createProvider(providerId, config) {
+    const definition = getProviderDefinition(providerId);
+    if (!definition) {
+        throw new Error(`Unknown provider: ${providerId}`);
+    }
+    return definition.create(config);
+}
@@ -0,0 +1,167 @@
+import { LLMProvider, createApiError, sleep, toUsage } from './base.js';
+import { estimateTokens } from '../context-budget.js';
+
+/**
+ * Characters the mock provider streams per progress update, and the pause between updates
+ */
+const MOCK_STREAM_CHUNK = 24;
+const MOCK_STREAM_DELAY_MS = 30;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Plain-text body of the last reply in a conversation, one paragraph per block
+ * @param {Array<{response: string}>} [history]
+ * @returns {string}
+ */
+function getPreviousDraft(history = []) {
+    try {
+        const { body } = JSON.parse(history[history.length - 1]?.response || '{}');
+        return (body || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/p>/gi, '\n\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Mock Provider for offline development
+ * Answers deterministically without network access. The scenario setting simulates
+ * malformed JSON, dropped placeholders or HTTP errors; latencyMs delays every response.
+ */
+class MockProvider extends LLMProvider {
+    constructor(config) {
+        // A fixed pseudo-endpoint keeps connection-test messages readable
+        super({ ...config, endpoint: 'mock://local', model: 'mock' });
+        this.scenario = config.scenario || 'echo';
+        this.latencyMs = Number(config.latencyMs) || 0;
+        this.errorStatus = Number(config.errorStatus) || 503;
+    }
+
+    /**
+     * Answer a request locally, going through the same retry handling as a real provider
+     * @param {string} url
+     * @param {RequestInit} init
+     * @returns {Promise<Response>}
+     */
+    async send(url, init) {
+        await sleep(this.latencyMs, init.signal);
+
+        if (this.scenario === 'http-error') {
+            return new Response(JSON.stringify({ error: { message: `Simulated HTTP ${this.errorStatus} error` } }), {
+                status: this.errorStatus,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const { emailBody, instruction } = JSON.parse(init.body);
+        return new Response(JSON.stringify({ text: this.buildResponse(emailBody, instruction) }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Build the response text for the configured scenario
+     * The body repeats the draft paragraph by paragraph, keeping [[...]] placeholders
+     * @param {string} emailBody
+     * @param {string} instruction
+     * @returns {string}
+     */
+    buildResponse(emailBody, instruction) {
+        const draft = emailBody.split('\n\n--- Previous Thread ---')[0];
+        const paragraphs = draft.split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+        const firstLine = (paragraphs[0] || 'Your email').split('\n')[0].slice(0, 50);
+
+        const subject = `[Mock] ${firstLine}`;
+        let body = `<p><em>[Mock] ${escapeHtml(instruction)}</em></p>` +
+            paragraphs.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+
+        if (this.scenario === 'drop-placeholders') {
+            body = body.replace(/\[\[[^\]]+\]\]/g, '');
+        }
+
+        const json = JSON.stringify({ subject, body });
+        if (this.scenario === 'malformed') {
+            // Prose around a truncated object, which neither parsing nor repair can recover
+            return `Sure! Here is the rewritten email:\n${json.slice(0, Math.floor(json.length / 2))}`;
+        }
+        return json;
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        // A follow-up refines the previous reply
+        const draft = emailBody || getPreviousDraft(options.history);
+
+        const response = await this.fetchWithRetry(`${this.endpoint}/process`, {
+            method: 'POST',
+            body: JSON.stringify({ emailBody: draft, instruction })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Mock API error: ${response.status}`, response.status);
+        }
+
+        const { text } = await response.json();
+
+        // Replay the answer in chunks so the streaming preview can be exercised
+        if (typeof options.onProgress === 'function') {
+            for (let end = MOCK_STREAM_CHUNK; end < text.length; end += MOCK_STREAM_CHUNK) {
+                options.onProgress(text.slice(0, end));
+                await sleep(MOCK_STREAM_DELAY_MS, options.signal);
+            }
+            options.onProgress(text);
+        }
+
+        const prompt = this.buildMessages(emailBody, instruction, options).map(message => message.content).join('\n');
+        return {
+            text,
+            usage: toUsage(estimateTokens(this.getSystemPrompt(options) + prompt), estimateTokens(text))
+        };
+    }
+}
+
+/**
+ * Mock registry entry, for development without network access
+ */
+export const mock = {
+    id: 'mock',
+    name: 'Mock (offline)',
+    icon: '🧪',
+    capabilities: { streaming: true, jsonMode: false, vision: false },
+    fields: [
+        {
+            key: 'scenario',
+            label: 'Scenario',
+            type: 'select',
+            default: 'echo',
+            options: [
+                { value: 'echo', label: 'Valid response' },
+                { value: 'malformed', label: 'Malformed JSON' },
+                { value: 'drop-placeholders', label: 'Dropped placeholders' },
+                { value: 'http-error', label: 'HTTP error' }
+            ],
+            hint: 'Offline responses that repeat the draft - no API key or network needed'
+        },
+        { key: 'latencyMs', label: 'Latency (ms)', type: 'number', default: '800', attributes: { min: 0, step: 100 } },
+        {
+            key: 'errorStatus',
+            label: 'Error status',
+            type: 'number',
+            default: '503',
+            attributes: { min: 400, max: 599, step: 1 },
+            hint: 'Returned by the HTTP error scenario; 429 and 5xx are retried and trigger fallbacks'
+        }
+    ],
+    create: (config) => new MockProvider(config)
+};
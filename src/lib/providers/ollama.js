@@ -0,0 +1,104 @@
+import { LLMProvider, createApiError, readJsonLines, toUsage } from './base.js';
+
+/**
+ * Ollama Provider (local models via the native /api/chat endpoint)
+ */
+class OllamaProvider extends LLMProvider {
+    get headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        // Not needed by Ollama itself, but lets users put it behind an authenticating proxy
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        const stream = typeof options.onProgress === 'function';
+
+        const response = await this.fetchWithRetry(`${this.endpoint}/api/chat`, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: this.getSystemPrompt(options)
+                    },
+                    // Images aren't sent: the provider doesn't declare the vision capability
+                    ...this.buildMessages(emailBody, instruction, options).map(({ role, content }) => ({ role, content }))
+                ],
+                format: 'json',
+                stream,
+                options: {
+                    temperature: this.temperature,
+                    ...(this.maxTokens ? { num_predict: this.maxTokens } : {})
+                }
+            })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error || `Ollama API error: ${response.status}`, response.status);
+        }
+
+        if (stream) {
+            let text = '';
+            let usage = toUsage();
+            await readJsonLines(response, (data) => {
+                if (data.error) {
+                    throw new Error(data.error);
+                }
+                // The final line (done: true) carries the token counts
+                if (data.done) {
+                    usage = toUsage(data.prompt_eval_count, data.eval_count);
+                }
+                const delta = data.message?.content;
+                if (delta) {
+                    text += delta;
+                    options.onProgress(text);
+                }
+            });
+            return { text: text || '{}', usage };
+        }
+
+        const data = await response.json();
+        return {
+            text: data.message?.content || '{}',
+            usage: toUsage(data.prompt_eval_count, data.eval_count)
+        };
+    }
+
+    /**
+     * List models installed in the local Ollama instance
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        const response = await fetch(`${this.endpoint}/api/tags`, { headers: this.headers });
+
+        if (!response.ok) {
+            throw createApiError(`Ollama API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return (data.models || []).map(m => m.name);
+    }
+}
+
+/**
+ * Ollama registry entry
+ */
+export const ollama = {
+    id: 'ollama',
+    name: 'Ollama',
+    icon: '🦙',
+    capabilities: { streaming: true, jsonMode: true, vision: false },
+    corsHint: 'Ollama must be started with OLLAMA_ORIGINS allowing this add-in.',
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', hint: 'Optional - only needed behind an authenticating proxy' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', default: 'http://localhost:11434', hint: 'Default: http://localhost:11434 (start Ollama with OLLAMA_ORIGINS set to allow this add-in)' },
+        { key: 'model', label: 'Model', type: 'model', default: 'llama3.1', hint: 'Click "Load models" to list models installed with ollama pull' }
+    ],
+    create: (config) => new OllamaProvider(config)
+};
@@ -0,0 +1,183 @@
+import { LLMProvider, RESULT_SCHEMA, createApiError, isEventStream, readEventStream, toUsage } from './base.js';
+
+/**
+ * Chat-capable model ids in OpenAI's /models listing
+ */
+const CHAT_MODEL_PATTERN = /^(gpt-|chatgpt-|o\d)(?!.*(audio|realtime|transcribe|tts|image|search))/;
+
+/**
+ * OpenAI Provider (also works with OpenAI-compatible APIs)
+ */
+export class OpenAIProvider extends LLMProvider {
+    constructor(config) {
+        super(config);
+        // json_schema response format; OpenAI-compatible servers often only support json_object
+        this.structuredOutput = Boolean(config.structuredOutput);
+        // stream_options.include_usage is likewise only safe on the official APIs
+        this.streamUsage = Boolean(config.structuredOutput);
+    }
+
+    get chatUrl() {
+        return `${this.endpoint}/chat/completions`;
+    }
+
+    get supportsCandidates() {
+        // `n` is part of the official APIs; compatible servers often ignore it
+        return this.structuredOutput;
+    }
+
+    get maxTokensField() {
+        // OpenAI and Azure deprecated max_tokens (reasoning models reject it); compatible servers mostly only know max_tokens
+        return this.structuredOutput ? 'max_completion_tokens' : 'max_tokens';
+    }
+
+    get headers() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+        };
+    }
+
+    /**
+     * List models from the /models endpoint
+     * The official API also returns embedding, audio and image models, which are left out.
+     * @returns {Promise<string[]>}
+     */
+    async listModels() {
+        const response = await fetch(`${this.endpoint}/models`, { headers: this.headers });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.createError(error, response.status);
+        }
+
+        const data = await response.json();
+        const ids = (data.data || []).map(m => m.id);
+        return this.structuredOutput ? ids.filter(id => CHAT_MODEL_PATTERN.test(id)) : ids;
+    }
+
+    imagePart(image) {
+        return { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } };
+    }
+
+    /**
+     * Build a readable error from a failed response body
+     * @param {Object} error - Parsed error body
+     * @param {number} status
+     * @returns {Error}
+     */
+    createError(error, status) {
+        return createApiError(error.error?.message || `OpenAI API error: ${status}`, status);
+    }
+
+    /**
+     * Build the error thrown when a completion stops with finish_reason "content_filter"
+     * @param {Object} choice - The filtered choice
+     * @returns {Error}
+     */
+    createContentFilterError(choice) {
+        return new Error('The response was blocked by the provider\'s content filter.');
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        const stream = typeof options.onProgress === 'function';
+
+        const response = await this.fetchWithRetry(this.chatUrl, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: this.getSystemPrompt(options)
+                    },
+                    ...this.buildMessages(emailBody, instruction, options).map(message => ({
+                        role: message.role,
+                        content: this.formatContent(message)
+                    }))
+                ],
+                temperature: this.temperature,
+                ...(this.maxTokens ? { [this.maxTokensField]: this.maxTokens } : {}),
+                ...(options.candidates > 1 && this.supportsCandidates ? { n: options.candidates } : {}),
+                response_format: this.structuredOutput
+                    ? { type: 'json_schema', json_schema: { name: 'email_draft', strict: true, schema: RESULT_SCHEMA } }
+                    : { type: "json_object" },
+                stream,
+                ...(stream && this.streamUsage ? { stream_options: { include_usage: true } } : {})
+            })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.createError(error, response.status);
+        }
+
+        if (stream && isEventStream(response)) {
+            let text = '';
+            let usage = toUsage();
+            await readEventStream(response, (data) => {
+                // With include_usage the last chunk carries usage and no choices
+                if (data.usage) {
+                    usage = toUsage(data.usage.prompt_tokens, data.usage.completion_tokens);
+                }
+                const choice = data.choices?.[0];
+                if (choice?.finish_reason === 'content_filter') {
+                    throw this.createContentFilterError(choice);
+                }
+                const delta = choice?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    options.onProgress(text);
+                }
+            });
+            return { text: text || '{}', usage };
+        }
+
+        const data = await response.json();
+        const choice = data.choices[0];
+        if (choice?.finish_reason === 'content_filter') {
+            throw this.createContentFilterError(choice);
+        }
+        return {
+            text: choice?.message?.content || '{}',
+            texts: data.choices
+                .filter(c => c.finish_reason !== 'content_filter')
+                .map(c => c.message?.content || '{}'),
+            usage: toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+        };
+    }
+}
+
+/**
+ * OpenAI registry entry
+ */
+export const openai = {
+    id: 'openai',
+    name: 'OpenAI',
+    icon: '🤖',
+    capabilities: { streaming: true, jsonMode: true, vision: true },
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', required: true, default: '' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', default: 'https://api.openai.com/v1', hint: 'Default: https://api.openai.com/v1' },
+        { key: 'model', label: 'Model', type: 'model', default: 'gpt-4o-mini', hint: 'e.g., gpt-4.1, gpt-4.1-mini, gpt-4o-mini' }
+    ],
+    create: (config) => new OpenAIProvider({ ...config, structuredOutput: true })
+};
+
+/**
+ * Registry entry for OpenAI-compatible APIs (LM Studio, vLLM, OpenRouter, ...)
+ * Only json_object output is assumed, since compatible servers rarely support json_schema.
+ */
+export const custom = {
+    id: 'custom',
+    name: 'Custom API',
+    icon: '⚙️',
+    capabilities: { streaming: true, jsonMode: true, vision: false },
+    fields: [
+        { key: 'apiKey', label: 'API Key', type: 'password', required: true, default: '' },
+        { key: 'endpoint', label: 'API Endpoint', type: 'url', default: '', hint: 'OpenAI-compatible API endpoint URL' },
+        { key: 'model', label: 'Model', type: 'model', default: '', hint: 'Model name as required by the API' }
+    ],
+    create: (config) => new OpenAIProvider(config)
+};
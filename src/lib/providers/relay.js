@@ -0,0 +1,72 @@
+import { LLMProvider, createApiError, toUsage } from './base.js';
+
+/**
+ * Relay Provider
+ * Sends requests to the optional relay server (server/relay.js), which holds the provider API keys.
+ * The browser only stores the relay URL and a per-user token.
+ */
+class RelayProvider extends LLMProvider {
+    constructor(config) {
+        super(config);
+        this.token = config.token;
+        // The relay decides the model; it's reported back with each response
+        this.model = 'relay';
+    }
+
+    get supportsCandidates() {
+        return true;
+    }
+
+    async processText(emailBody, instruction, options = {}) {
+        const response = await this.fetchWithRetry(`${this.endpoint}/process`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: JSON.stringify({
+                emailBody,
+                instruction,
+                systemPrompt: this.getSystemPrompt(options),
+                history: options.history,
+                images: options.images,
+                candidates: options.candidates,
+                temperature: this.temperature,
+                ...(this.maxTokens ? { maxTokens: this.maxTokens } : {})
+            })
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(error.error?.message || `Relay error: ${response.status}`, response.status);
+        }
+
+        // The relay has already validated the drafts; pass them on as JSON text like any model output
+        const data = await response.json();
+        if (data.model) this.model = data.model;
+
+        const variants = data.variants?.length ? data.variants : [{ subject: data.subject, body: data.body }];
+        const texts = variants.map(({ subject, body }) => JSON.stringify({ subject, body }));
+        return {
+            text: texts[0],
+            texts,
+            usage: toUsage(data.usage?.inputTokens, data.usage?.outputTokens)
+        };
+    }
+}
+
+/**
+ * Relay registry entry
+ */
+export const relay = {
+    id: 'relay',
+    name: 'Relay',
+    icon: '🔐',
+    capabilities: { streaming: false, jsonMode: true, vision: true },
+    corsHint: 'Add this add-in\'s origin to allowedOrigins in the relay config.',
+    fields: [
+        { key: 'endpoint', label: 'Relay URL', type: 'url', required: true, default: 'http://localhost:3001', hint: 'Where server/relay.js is running (npm run relay)' },
+        { key: 'token', label: 'User Token', type: 'password', required: true, default: '', placeholder: 'Enter your relay token', hint: 'Issued by whoever runs the relay; provider API keys stay on the server' }
+    ],
+    create: (config) => new RelayProvider(config)
+};
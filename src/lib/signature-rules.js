@@ -0,0 +1,264 @@
+/**
+ * Signature detection shared by the taskpane and the settings preview
+ * One rule set decides where a signature starts: the signature containers Outlook and other clients
+ * insert, built-in sign-offs in several languages, mobile footers, and the user's own markers and
+ * pasted signature from settings.
+ */
+import { storage } from './storage.js';
+import { getTextWithLineBreaks } from './thread-parser.js';
+
+/**
+ * Elements clients wrap the signature in
+ */
+export const SIGNATURE_SELECTORS = [
+    '#Signature',
+    '.Signature',
+    '#ms-outlook-mobile-signature',
+    '[data-signature]',
+    'div[id*="signature" i]',
+    'div[class*="signature" i]',
+    '.gmail_signature'
+];
+
+/**
+ * Sign-offs that start a signature when they are alone on a line (optionally followed by a comma and a name)
+ */
+const SIGN_OFFS = {
+    en: ['Best regards', 'Kind regards', 'Warm regards', 'Regards', 'Best wishes', 'Best', 'Sincerely',
+        'Yours sincerely', 'Yours faithfully', 'Thanks', 'Thank you', 'Many thanks', 'Cheers'],
+    fr: ['Cordialement', 'Bien cordialement', 'Bien à vous', 'Salutations', 'Meilleures salutations', 'Cdlt', 'Merci',
+        'Bonne journée'],
+    de: ['Mit freundlichen Grüßen', 'Freundliche Grüße', 'Viele Grüße', 'Beste Grüße', 'Liebe Grüße', 'Grüße', 'Gruß',
+        'MfG', 'Danke'],
+    es: ['Saludos cordiales', 'Saludos', 'Un saludo', 'Atentamente', 'Un abrazo', 'Muchas gracias', 'Gracias'],
+    it: ['Cordiali saluti', 'Distinti saluti', 'Saluti', 'Un saluto', 'Grazie mille', 'Grazie', 'A presto'],
+    nl: ['Met vriendelijke groet', 'Met vriendelijke groeten', 'Vriendelijke groet', 'Hartelijke groet', 'Groeten',
+        'Groet', 'Mvg', 'Bedankt', 'Dank je wel'],
+    pt: ['Atenciosamente', 'Cumprimentos', 'Abraços', 'Abraço', 'Obrigado', 'Obrigada']
+};
+
+/**
+ * Sign-off at the start of a line; longer phrases first so "Best regards" wins over "Best"
+ * The caller checks what follows it on the line.
+ */
+const SIGN_OFF_PATTERN = new RegExp(
+    `^(?:${Object.values(SIGN_OFFS).flat()
+        .sort((a, b) => b.length - a.length)
+        .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|')})(?![\\p{L}])`,
+    'iu'
+);
+
+/**
+ * Name that may follow a sign-off and a comma on the same line: short and capitalised, possibly with particles
+ * "Thanks, Alex" and "Groeten, Jan de Vries" are sign-offs; "Thanks, that works for me",
+ * "Thanks Anna for the notes" and "Best Practices for X" are not.
+ */
+const SIGNER_NAME_PATTERN = /^\p{Lu}[\p{L}.'-]*(?:\s+(?:\p{Lu}[\p{L}.'-]*|van|von|de|der|den|da|di|del|la|le|du|dos)){0,3}$/u;
+
+/**
+ * Phone numbers: a leading + or a phone label, then a run of digits
+ * Dates and times in the run don't count towards its digits.
+ */
+const PHONE_PATTERN = /(?:\+|\b(?:tel|tél|phone|mobile|mob|cell|fax|telefon|telefono|teléfono)\b\.?\s*:?\s*\+?|\b[tmf]\s*:\s*\+?)\s*\(?\d[\d\s\-().\/]{5,}\d/i;
+const DATE_TIME_PATTERN = /\b\d{1,4}[.\/-]\d{1,2}[.\/-]\d{1,4}\b|\b\d{1,2}:\d{2}\b/g;
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Footers added by mail apps
+ */
+const MOBILE_FOOTER_PATTERN = /^(?:Sent from my|Get Outlook for|Envoyé de mon|Envoyé depuis|Von meinem .+ gesendet|Gesendet von|Enviado desde mi|Inviato da|Verzonden vanaf|Verstuurd vanaf|Enviado do meu)/i;
+
+/**
+ * The "-- " line that conventionally introduces a signature
+ */
+const DELIMITER_PATTERN = /^--\s*$/;
+
+/**
+ * Build the signature rules from the user's settings
+ * @param {{customMarkers: string[], signatureText: string}} [settings] - Defaults to the saved settings
+ * @returns {{markers: string[], signatureText: string, signatureFirstLine: string}}
+ */
+export function getSignatureRules(settings = storage.getSignatureSettings()) {
+    const signatureText = (settings.signatureText || '').trim();
+
+    return {
+        markers: (settings.customMarkers || []).map(marker => marker.trim().toLowerCase()).filter(Boolean),
+        signatureText,
+        signatureFirstLine: signatureText.split('\n')[0].trim().toLowerCase()
+    };
+}
+
+/**
+ * Whether a line starts the signature
+ * @param {string} line
+ * @param {Object} rules - From getSignatureRules
+ * @returns {boolean}
+ */
+export function isSignatureStart(line, rules) {
+    const text = line.trim();
+    if (!text) return false;
+
+    const lower = text.toLowerCase();
+    if (rules.markers.some(marker => lower.startsWith(marker))) return true;
+    if (rules.signatureFirstLine && lower === rules.signatureFirstLine) return true;
+    if (DELIMITER_PATTERN.test(text) || MOBILE_FOOTER_PATTERN.test(text)) return true;
+
+    const signOff = text.match(SIGN_OFF_PATTERN);
+    if (!signOff) return false;
+
+    // The whole line, or a comma and a short name
+    const rest = text.slice(signOff[0].length).trim();
+    if (/^[,.!]?$/.test(rest)) return true;
+    return rest.startsWith(',') && SIGNER_NAME_PATTERN.test(rest.slice(1).trim());
+}
+
+/**
+ * Whether an element is, or is inside, a signature container
+ * @param {Element} el
+ * @param {Element} [root] - Stop looking at this ancestor
+ * @returns {boolean}
+ */
+export function isInSignatureContainer(el, root) {
+    for (let node = el; node && node !== root; node = node.parentElement) {
+        if (node.matches(SIGNATURE_SELECTORS.join(', '))) return true;
+    }
+    return false;
+}
+
+/**
+ * Find where the signature starts in a document
+ * Prefers an explicit signature container, then the first element whose text starts with a signature line.
+ * @param {Element} root
+ * @param {Object} rules - From getSignatureRules
+ * @returns {Element|null}
+ */
+export function findSignatureElement(root, rules) {
+    const container = root.querySelector(SIGNATURE_SELECTORS.join(', '));
+    if (container) return container;
+
+    for (const el of root.querySelectorAll('div, p, span, font')) {
+        const firstLine = getTextWithLineBreaks(el).split('\n')[0];
+        if (isSignatureStart(firstLine, rules)) return el;
+    }
+    return null;
+}
+
+/**
+ * Whether a line has a phone number, and not just a date or time
+ * @param {string} line
+ * @returns {boolean}
+ */
+function hasPhoneNumber(line) {
+    const match = line.match(PHONE_PATTERN);
+    return !!match && match[0].replace(DATE_TIME_PATTERN, '').replace(/\D/g, '').length >= MIN_PHONE_DIGITS;
+}
+
+/**
+ * Whether a line looks like contact details (phone, email or web address)
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isContactLine(line) {
+    return hasPhoneNumber(line) ||
+        /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(line) ||
+        /www\.|http/i.test(line);
+}
+
+/**
+ * Index of the first line of the signature
+ * @param {string[]} lines
+ * @param {Object} rules - From getSignatureRules
+ * @returns {number} - -1 when no line starts a signature; the first line never does
+ */
+function findSignatureLine(lines, rules) {
+    return lines.findIndex((line, i) => i > 0 && isSignatureStart(line, rules));
+}
+
+/**
+ * Extract the signature text from email HTML
+ * Detects the signature regardless of user-written content above it.
+ * @param {string} html - Full email HTML
+ * @param {Object} rules - From getSignatureRules
+ * @returns {string} - Detected signature text (or empty string)
+ */
+export function extractSignature(html, rules) {
+    const temp = document.createElement('div');
+    temp.innerHTML = html;
+    const text = getTextWithLineBreaks(temp);
+
+    // The user's pasted signature, when the draft contains it
+    if (rules.signatureText && text.replace(/\s+/g, ' ').includes(rules.signatureText.replace(/\s+/g, ' '))) {
+        return rules.signatureText;
+    }
+
+    // A signature container, or a sign-off line and everything after it
+    const container = temp.querySelector(SIGNATURE_SELECTORS.join(', '));
+    if (container) {
+        return getTextWithLineBreaks(container);
+    }
+
+    const lines = text.split('\n').filter(l => l.trim());
+    const start = findSignatureLine(lines, rules);
+    if (start !== -1) {
+        return lines.slice(start).join('\n');
+    }
+
+    // Contact details near the end; the signature likely starts a few lines before
+    if (lines.length > 3) {
+        for (let i = lines.length - 1; i >= Math.max(0, lines.length - 10); i--) {
+            if (isContactLine(lines[i])) {
+                return lines.slice(Math.max(0, i - 5)).join('\n').trim();
+            }
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Strip the signature from message text
+ * @param {string} text - Message text
+ * @param {string} signatureText - Detected signature text (optional)
+ * @param {Object} rules - From getSignatureRules
+ * @param {Object} [options]
+ * @param {boolean} [options.contactDetails=true] - Also cut at contact details near the end; off for quoted
+ *   messages, where a stray match would cut most of the message
+ * @returns {string} - Text with signature removed
+ */
+export function stripSignature(text, signatureText, rules, { contactDetails = true } = {}) {
+    const result = text.trim();
+
+    // Strategy 1: Remove the detected signature if the message ends with it
+    if (signatureText && signatureText.length > 5) {
+        const normalizedResult = result.replace(/\s+/g, ' ').trim();
+        const normalizedSig = signatureText.replace(/\s+/g, ' ').trim();
+
+        if (normalizedResult.endsWith(normalizedSig)) {
+            // Find where the signature starts in the original text, whose whitespace may differ
+            const sigFirstLine = signatureText.split('\n')[0].trim();
+            const sigIndex = result.lastIndexOf(sigFirstLine);
+            if (sigIndex > 0) {
+                return result.substring(0, sigIndex).trim();
+            }
+        }
+    }
+
+    // Strategy 2: A sign-off, marker or footer line and everything after it
+    const lines = result.split('\n');
+    const start = findSignatureLine(lines, rules);
+    if (start !== -1) {
+        return lines.slice(0, start).join('\n').trim();
+    }
+
+    // Strategy 3: Contact details (phone, email, url) near the end
+    if (contactDetails && lines.length > 3) {
+        for (let i = lines.length - 1; i >= Math.max(0, lines.length - 8); i--) {
+            if (isContactLine(lines[i].trim())) {
+                return lines.slice(0, i).join('\n').trim();
+            }
+        }
+    }
+
+    return result;
+}
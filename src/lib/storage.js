@@ -1,6 +1,8 @@
 /**
  * Storage utility for managing localStorage with prefixed keys
  */
+import { getDefaultProviderConfigs } from './providers/index.js';
+
 const STORAGE_PREFIX = 'outlook_ai_assistant_';
 
 export const storage = {
@@ -49,30 +51,21 @@ export const storage = {
    * @returns {Object}
    */
   getProviderSettings() {
-    return this.get('provider_settings') || {
+    const defaults = {
       activeProvider: 'openai',
-      providers: {
-        openai: {
-          apiKey: '',
-          endpoint: 'https://api.openai.com/v1',
-          model: 'gpt-4o-mini'
-        },
-        claude: {
-          apiKey: '',
-          endpoint: 'https://api.anthropic.com',
-          model: 'claude-3-5-sonnet-20241022'
-        },
-        gemini: {
-          apiKey: '',
-          endpoint: 'https://generativelanguage.googleapis.com',
-          model: 'gemini-1.5-flash'
-        },
-        custom: {
-          apiKey: '',
-          endpoint: '',
-          model: ''
-        }
-      }
+      // Ordered provider ids tried when the active provider fails
+      fallbackProviders: [],
+      providers: getDefaultProviderConfigs()
+    };
+
+    const stored = this.get('provider_settings');
+    if (!stored) return defaults;
+
+    // Merge so providers added after the settings were first saved still get defaults
+    return {
+      ...defaults,
+      ...stored,
+      providers: { ...defaults.providers, ...stored.providers }
     };
   },
 
@@ -84,6 +77,108 @@ export const storage = {
     this.set('provider_settings', settings);
   },
 
+  /**
+   * Get model lists fetched from the providers, keyed by provider id
+   * @returns {Object<string, {endpoint: string, models: string[], fetchedAt: string}>}
+   */
+  getModelCache() {
+    return this.get('model_cache') || {};
+  },
+
+  /**
+   * Save fetched model lists
+   * @param {Object} cache 
+   */
+  setModelCache(cache) {
+    this.set('model_cache', cache);
+  },
+
+  /**
+   * Get request behaviour settings (timeout and automatic retries)
+   * @returns {{timeoutSeconds: number, maxRetries: number}}
+   */
+  getRequestSettings() {
+    return {
+      timeoutSeconds: 120,
+      maxRetries: 3,
+      ...this.get('request_settings')
+    };
+  },
+
+  /**
+   * Save request behaviour settings
+   * @param {Object} settings 
+   */
+  setRequestSettings(settings) {
+    this.set('request_settings', settings);
+  },
+
+  /**
+   * Get the token usage ledger
+   * @returns {Array}
+   */
+  getUsageLedger() {
+    return this.get('usage_ledger') || [];
+  },
+
+  /**
+   * Save the token usage ledger
+   * @param {Array} entries 
+   */
+  setUsageLedger(entries) {
+    this.set('usage_ledger', entries);
+  },
+
+  /**
+   * Get the price table used for cost estimates (USD per million tokens, keyed by model prefix)
+   * @returns {Object<string, {input: number, output: number}>}
+   */
+  getPriceTable() {
+    return this.get('price_table') || {
+      'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+      'gpt-4.1': { input: 2.00, output: 8.00 },
+      'gpt-4o-mini': { input: 0.15, output: 0.60 },
+      'gpt-4o': { input: 2.50, output: 10.00 },
+      'claude-sonnet-4': { input: 3.00, output: 15.00 },
+      'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+      'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+      'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+      'claude-3-haiku': { input: 0.25, output: 1.25 },
+      'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+      'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+      'gemini-1.5-pro': { input: 1.25, output: 5.00 }
+    };
+  },
+
+  /**
+   * Save the price table
+   * @param {Object} table 
+   */
+  setPriceTable(table) {
+    this.set('price_table', table);
+  },
+
+  /**
+   * Get the user's signature rules: their pasted signature and extra markers that start a signature
+   * @returns {{customMarkers: string[], signatureText: string}}
+   */
+  getSignatureSettings() {
+    return {
+      customMarkers: [],
+      signatureText: '',
+      ...this.get('signature_settings')
+    };
+  },
+
+  /**
+   * Save signature rules
+   * @param {Object} settings 
+   */
+  setSignatureSettings(settings) {
+    this.set('signature_settings', settings);
+  },
+
   /**
    * Get saved prompts
    * @returns {Array}
@@ -98,5 +193,37 @@ export const storage = {
    */
   setSavedPrompts(prompts) {
     this.set('saved_prompts', prompts);
+  },
+
+  /**
+   * Get style profiles
+   * @returns {Array}
+   */
+  getStyleProfiles() {
+    return this.get('style_profiles') || [];
+  },
+
+  /**
+   * Save style profiles array
+   * @param {Array} profiles 
+   */
+  setStyleProfiles(profiles) {
+    this.set('style_profiles', profiles);
+  },
+
+  /**
+   * Get the id of the style profile used for requests
+   * @returns {string|null}
+   */
+  getActiveStyleProfileId() {
+    return this.get('active_style_profile');
+  },
+
+  /**
+   * Set the style profile used for requests
+   * @param {string} id 
+   */
+  setActiveStyleProfileId(id) {
+    this.set('active_style_profile', id);
   }
 };
@@ -0,0 +1,123 @@
+import { storage } from './storage.js';
+import { generateId } from './prompt-manager.js';
+
+/**
+ * Built-in house style, used for the default profile and "Reset to default"
+ * Only covers tone and formatting - the JSON and placeholder rules are built in src/lib/providers/base.js
+ */
+export const DEFAULT_STYLE_GUIDE = `For the body, use RICH HTML FORMATTING to create visually appealing, well-structured emails:
+- Use <p> tags for paragraphs with proper spacing between ideas
+- Use <strong> for bold emphasis on important words or phrases
+- Use <em> for italic text when appropriate
+- Use <ul> and <li> for bullet point lists (great for action items, key points)
+- Use <ol> and <li> for numbered/ordered lists (great for steps, priorities)
+- Use <br> for line breaks within paragraphs when needed
+- Use emojis SPARINGLY and only when they naturally add warmth or clarity:
+  • Limit usage to 1-2 relevant emojis maximum, and only if the tone is friendly or informal
+  • Examples where they may be appropriate: 👋 for greetings, ✅ for confirmations, or 🎉 for celebrations
+  • Avoid emojis in formal or strictly professional correspondence
+- Keep the formatting clean, professional, and visually structured`;
+
+export const styleProfiles = {
+    /**
+     * Get all style profiles
+     * @returns {Array<{id: string, name: string, styleGuide: string}>}
+     */
+    getAll() {
+        return storage.getStyleProfiles();
+    },
+
+    /**
+     * Get a profile by ID
+     * @param {string} id 
+     * @returns {Object|null}
+     */
+    getById(id) {
+        return this.getAll().find(p => p.id === id) || null;
+    },
+
+    /**
+     * Get the profile used for requests, falling back to the first one
+     * @returns {{id: string, name: string, styleGuide: string}}
+     */
+    getActive() {
+        this.initDefaults();
+        return this.getById(storage.getActiveStyleProfileId()) || this.getAll()[0];
+    },
+
+    /**
+     * Select the profile used for requests
+     * @param {string} id 
+     */
+    setActive(id) {
+        storage.setActiveStyleProfileId(id);
+    },
+
+    /**
+     * Add a new profile
+     * @param {string} name 
+     * @param {string} styleGuide 
+     * @returns {Object} The created profile
+     */
+    add(name, styleGuide) {
+        const profiles = this.getAll();
+        const newProfile = {
+            id: generateId(),
+            name: name.trim(),
+            styleGuide: styleGuide.trim()
+        };
+        profiles.push(newProfile);
+        storage.setStyleProfiles(profiles);
+        return newProfile;
+    },
+
+    /**
+     * Update an existing profile
+     * @param {string} id 
+     * @param {string} name 
+     * @param {string} styleGuide 
+     * @returns {boolean}
+     */
+    update(id, name, styleGuide) {
+        const profiles = this.getAll();
+        const index = profiles.findIndex(p => p.id === id);
+        if (index === -1) return false;
+
+        profiles[index] = {
+            ...profiles[index],
+            name: name.trim(),
+            styleGuide: styleGuide.trim()
+        };
+        storage.setStyleProfiles(profiles);
+        return true;
+    },
+
+    /**
+     * Delete a profile; the last remaining profile can't be deleted
+     * @param {string} id 
+     * @returns {boolean}
+     */
+    delete(id) {
+        const profiles = this.getAll();
+        const filtered = profiles.filter(p => p.id !== id);
+        if (filtered.length === profiles.length || filtered.length === 0) return false;
+
+        storage.setStyleProfiles(filtered);
+        return true;
+    },
+
+    /**
+     * Add the default profiles if none exist
+     */
+    initDefaults() {
+        if (this.getAll().length === 0) {
+            this.add('Default', DEFAULT_STYLE_GUIDE);
+            this.add('Formal', `Write in a formal, professional register:
+- Use <p> tags for paragraphs, and <ul>/<ol> with <li> only where a list genuinely helps
+- Use <strong> sparingly for key dates, figures or actions
+- Never use emojis
+- Avoid exclamation marks, slang and contractions
+- Keep the formatting clean and restrained`);
+        }
+    }
+};
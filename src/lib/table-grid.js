@@ -0,0 +1,180 @@
+/**
+ * Editable tables: a preserved table sent to the model as a grid of cell texts, written back into its HTML
+ * In the prompt the [[TABLE_n]] placeholder opens a block with one [[RrCc]] marker per cell and [[/TABLE_n]]
+ * closes it. The model rewrites the text after each marker; rows, spans and styling stay those of the original.
+ */
+import { getTextWithLineBreaks } from './thread-parser.js';
+
+/**
+ * Cell markers, numbered from 1 by row and by cell within the row
+ */
+const CELL_MARKER_PATTERN = /\[\[\s*R(\d+)\s*C(\d+)\s*\]\]/gi;
+
+/**
+ * Separator between cells of a row, for readability
+ */
+const CELL_SEPARATOR = ' | ';
+
+/**
+ * Parse table HTML into its element
+ * @param {string} tableHtml
+ * @returns {HTMLTableElement|null}
+ */
+function parseTable(tableHtml) {
+    const template = document.createElement('template');
+    template.innerHTML = tableHtml;
+    const table = template.content.firstElementChild;
+    return table?.nodeName === 'TABLE' ? table : null;
+}
+
+/**
+ * Text of a cell on one line
+ * @param {HTMLTableCellElement} cell
+ * @returns {string}
+ */
+function getCellText(cell) {
+    return (cell.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether the model may rewrite a cell: it has text and no nested table of its own
+ * @param {HTMLTableCellElement} cell
+ * @returns {boolean}
+ */
+function isEditableCell(cell) {
+    return getCellText(cell) !== '' && !cell.querySelector('table');
+}
+
+/**
+ * Replace the text of a cell, keeping its elements
+ * The new text goes into the first text node so its formatting applies; the other text nodes are emptied.
+ * @param {HTMLTableCellElement} cell
+ * @param {string} text
+ */
+function setCellText(cell, text) {
+    const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+        if (node.nodeValue.trim()) textNodes.push(node);
+    }
+
+    textNodes.forEach((textNode, i) => {
+        textNode.nodeValue = i === 0 ? text : '';
+    });
+}
+
+/**
+ * Closing marker of an editable table
+ * @param {string} placeholder - e.g. [[TABLE_1]]
+ * @returns {string}
+ */
+export function getTableClosingMarker(placeholder) {
+    return placeholder.replace('[[', '[[/');
+}
+
+/**
+ * A row of a grid: a cell marker, then text up to the end of its block or line, or up to a placeholder
+ * that isn't a cell marker. Tags before the marker, such as a new paragraph, belong to the row.
+ */
+const GRID_ROW_PATTERN = /(?:\s|<[^>]*>)*\[\[\s*R\d+\s*C\d+\s*\]\][^\n]*?(?=<\/(?:p|div|li|h[1-6])>|<br\s*\/?>|\n|\[\[(?!\s*R\d+\s*C\d+\s*\]\])|$)/iy;
+
+/**
+ * End of a grid whose closing marker is missing: after the last of the rows that follow its placeholder
+ * @param {string} html - Response body
+ * @param {number} gridStart - Index just after the table placeholder
+ * @returns {number} - gridStart when no row follows
+ */
+export function findGridEnd(html, gridStart) {
+    let end = gridStart;
+    GRID_ROW_PATTERN.lastIndex = gridStart;
+    for (let match; (match = GRID_ROW_PATTERN.exec(html)) && match[0].length > 0;) {
+        end = GRID_ROW_PATTERN.lastIndex;
+    }
+    return end;
+}
+
+/**
+ * Serialize a table into the editable grid sent to the model
+ * @param {string} placeholder - e.g. [[TABLE_1]]
+ * @param {string} tableHtml - The original table
+ * @returns {string|null} - null when the table has no text to edit
+ */
+export function serializeTableGrid(placeholder, tableHtml) {
+    const table = parseTable(tableHtml);
+    if (!table) return null;
+
+    const rows = Array.from(table.rows)
+        .map((row, r) => Array.from(row.cells)
+            .map((cell, c) => (isEditableCell(cell) ? `[[R${r + 1}C${c + 1}]] ${getCellText(cell)}` : null))
+            .filter(Boolean)
+            .join(CELL_SEPARATOR))
+        .filter(Boolean);
+
+    if (rows.length === 0) return null;
+    return `${placeholder}\n${rows.join('\n')}\n${getTableClosingMarker(placeholder)}`;
+}
+
+/**
+ * Replace the table placeholders in email content with editable grids
+ * @param {string} content - Email content with placeholders
+ * @param {Map} objectsMap - Map of placeholder -> original HTML
+ * @returns {string}
+ */
+export function expandTableGrids(content, objectsMap) {
+    let result = content;
+    for (const [placeholder, originalHtml] of objectsMap) {
+        if (!placeholder.startsWith('[[TABLE_') || !result.includes(placeholder)) continue;
+
+        const grid = serializeTableGrid(placeholder, originalHtml);
+        if (grid) result = result.replace(placeholder, grid);
+    }
+    return result;
+}
+
+/**
+ * Read the cell texts of a grid returned by the model
+ * The grid may come back as HTML, with the rows in paragraphs or separated by breaks.
+ * @param {string} gridHtml - Content between the table's markers
+ * @returns {Map<string, string>} - "row,cell" -> text
+ */
+export function parseTableGrid(gridHtml) {
+    const temp = document.createElement('div');
+    temp.innerHTML = gridHtml;
+    const text = getTextWithLineBreaks(temp);
+
+    const markers = [...text.matchAll(CELL_MARKER_PATTERN)];
+    const cells = new Map();
+    markers.forEach((marker, i) => {
+        const end = i + 1 < markers.length ? markers[i + 1].index : text.length;
+        const cellText = text.slice(marker.index + marker[0].length, end)
+            .replace(/\s*\|\s*$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        cells.set(`${Number(marker[1])},${Number(marker[2])}`, cellText);
+    });
+    return cells;
+}
+
+/**
+ * Write the cell texts of a returned grid into the original table
+ * Cells the model left out, or emptied, keep their original text.
+ * @param {string} tableHtml - The original table
+ * @param {string} gridHtml - Content between the table's markers in the response
+ * @returns {string} - Table HTML with the new cell texts
+ */
+export function applyTableGrid(tableHtml, gridHtml) {
+    const table = parseTable(tableHtml);
+    if (!table) return tableHtml;
+
+    const cells = parseTableGrid(gridHtml);
+    Array.from(table.rows).forEach((row, r) => {
+        Array.from(row.cells).forEach((cell, c) => {
+            const text = cells.get(`${r + 1},${c + 1}`);
+            if (text && isEditableCell(cell) && text !== getCellText(cell)) {
+                setCellText(cell, text);
+            }
+        });
+    });
+    return table.outerHTML;
+}
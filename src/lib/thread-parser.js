@@ -0,0 +1,252 @@
+/**
+ * Parse the quoted part of a reply into individual messages with their headers
+ */
+
+/**
+ * Localized labels of the header lines Outlook puts above each quoted message
+ */
+const HEADER_LABELS = {
+    from: ['From', 'De', 'Von', 'Da', 'Van', 'Från', 'Fra'],
+    date: ['Sent', 'Date', 'Envoyé', 'Gesendet', 'Datum', 'Enviado', 'Fecha', 'Inviato', 'Data', 'Verzonden', 'Skickat', 'Sendt'],
+    to: ['To', 'À', 'An', 'Para', 'A', 'Aan', 'Till', 'Til'],
+    cc: ['Cc', 'Cci', 'Bcc', 'CC'],
+    subject: ['Subject', 'Objet', 'Betreff', 'Asunto', 'Oggetto', 'Onderwerp', 'Assunto', 'Ämne', 'Emne'],
+    other: ['Importance', 'Wichtigkeit', 'Priorité']
+};
+
+/**
+ * Separator lines some clients put before the header block
+ */
+const SEPARATOR_PATTERN = /^-{2,}\s*(?:Original Message|Message d'origine|Ursprüngliche Nachricht|Mensaje original|Messaggio originale|Oorspronkelijk bericht|Forwarded message|Message transféré|Weitergeleitete Nachricht)\s*-{2,}$/i;
+
+/**
+ * "On <date>, <sender> wrote:" attribution lines, by language
+ * Each yields the date and sender text; German puts the sender after the verb.
+ */
+const ATTRIBUTION_PATTERNS = [
+    { pattern: /^On\s+(.+?)\s+wrote\s*:$/i },
+    { pattern: /^Le\s+(.+?)\s+a écrit\s*:$/i },
+    { pattern: /^El\s+(.+?)\s+escribió\s*:$/i },
+    { pattern: /^Il giorno\s+(.+?)\s+ha scritto\s*:$/i },
+    { pattern: /^Op\s+(.+?)\s+schreef\s*:$/i },
+    { pattern: /^Am\s+(.+?)\s+schrieb\s+(.+?)\s*:$/i, senderAfterVerb: true }
+];
+
+/**
+ * Elements whose content starts on a new line
+ */
+const BLOCK_ELEMENTS = new Set([
+    'ADDRESS', 'BLOCKQUOTE', 'DIV', 'DL', 'DT', 'DD', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HR', 'LI', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+/**
+ * Lines a header block may span before the date line must have appeared
+ */
+const MAX_HEADER_LINES = 8;
+
+/**
+ * Label of a "Label: value" header line, resolved to its field
+ * @param {string} line
+ * @returns {{field: string, value: string}|null}
+ */
+function parseHeaderLine(line) {
+    const match = line.match(/^([\p{L} ]{1,20}?)\s*:\s*(.*)$/u);
+    if (!match) return null;
+
+    const label = match[1].trim().toLowerCase();
+    for (const [field, labels] of Object.entries(HEADER_LABELS)) {
+        if (labels.some(l => l.toLowerCase() === label)) {
+            return { field, value: match[2].trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Display name of a sender, without the email address when a name is given
+ * @param {string} value - e.g. "Sam Lee <sam.lee@example.net>" or "sam.lee@example.net"
+ * @returns {string}
+ */
+function parseSender(value) {
+    const name = value.replace(/<[^>]*>|\[mailto:[^\]]*\]/gi, '').replace(/["']/g, '').trim();
+    return name || value.replace(/[<>]/g, '').trim();
+}
+
+/**
+ * Split the text between "On" and "wrote" into its date and sender
+ * The date ends at the last time or year; whatever follows is the sender.
+ * @param {string} text
+ * @returns {{date: string, sender: string}}
+ */
+function splitAttribution(text) {
+    const dateEnds = [...text.matchAll(/\d{1,2}:\d{2}(?:\s*[AP]\.?M\.?)?|\b\d{4}\b/gi)];
+    if (dateEnds.length === 0) {
+        return { date: '', sender: parseSender(text) };
+    }
+
+    const last = dateEnds[dateEnds.length - 1];
+    const end = last.index + last[0].length;
+    return {
+        date: text.slice(0, end).trim(),
+        sender: parseSender(text.slice(end).replace(/^[\s,]+/, ''))
+    };
+}
+
+/**
+ * Parse an attribution line into the header of the message it introduces
+ * @param {string} line
+ * @returns {{sender: string, date: string, subject: string}|null}
+ */
+function parseAttribution(line) {
+    for (const { pattern, senderAfterVerb } of ATTRIBUTION_PATTERNS) {
+        const match = line.match(pattern);
+        if (!match) continue;
+
+        if (senderAfterVerb) {
+            return { date: match[1].replace(/\s+um\s+/i, ' ').trim(), sender: parseSender(match[2]), subject: '' };
+        }
+        return { ...splitAttribution(match[1]), subject: '' };
+    }
+    return null;
+}
+
+/**
+ * Parse an Outlook-style header block starting at a line
+ * The block must have a sender line followed, within a few lines, by a date line.
+ * @param {string[]} lines
+ * @param {number} start
+ * @returns {{header: {sender: string, date: string, subject: string}, end: number}|null} - end is the first body line
+ */
+function parseHeaderBlock(lines, start) {
+    const first = parseHeaderLine(lines[start]);
+    if (first?.field !== 'from') return null;
+
+    const header = { sender: parseSender(first.value), date: '', subject: '' };
+    let index = start + 1;
+    let current = null;
+
+    while (index < lines.length && index - start < MAX_HEADER_LINES) {
+        const line = lines[index];
+        const parsed = parseHeaderLine(line);
+
+        if (parsed) {
+            current = parsed.field;
+            if (current === 'date') header.date = parsed.value;
+            if (current === 'subject') header.subject = parsed.value;
+        } else if (!line || !['to', 'cc'].includes(current)) {
+            // Only long recipient lists wrap onto further lines
+            break;
+        }
+        index++;
+    }
+
+    return header.date ? { header, end: index } : null;
+}
+
+/**
+ * Text of an element with its line breaks
+ * @param {Node} root
+ * @returns {string}
+ */
+export function getTextWithLineBreaks(root) {
+    let text = '';
+
+    const walk = (node) => {
+        if (node.nodeType === 3) {
+            text += node.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+            return;
+        }
+        if (node.nodeType !== 1) return;
+
+        if (node.nodeName === 'BR') {
+            text += '\n';
+            return;
+        }
+
+        const isBlock = BLOCK_ELEMENTS.has(node.nodeName);
+        if (isBlock) text += '\n';
+        node.childNodes.forEach(walk);
+        if (isBlock) text += '\n';
+    };
+    walk(root);
+
+    return text
+        .replace(/\u00a0/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Split the quoted thread into messages
+ * Messages start at Outlook header blocks (From/Sent/To/Subject, in several languages), "On ... wrote:"
+ * attributions and "Original Message" separators. Quoted threads list the most recent message first,
+ * so the result is newest first.
+ * @param {string} text - Thread text with line breaks, e.g. from getTextWithLineBreaks
+ * @returns {Array<{sender: string, date: string, subject: string, body: string}>} - Header fields are empty when unknown
+ */
+export function parseThread(text) {
+    if (!text) return [];
+
+    const lines = text.split('\n').map(line => line.replace(/^(?:>\s?)+/, '').trim());
+    const messages = [];
+    let message = { sender: '', date: '', subject: '', lines: [] };
+
+    const startMessage = (header) => {
+        messages.push(message);
+        message = { ...header, lines: [] };
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (SEPARATOR_PATTERN.test(line)) {
+            continue;
+        }
+
+        const block = parseHeaderBlock(lines, i);
+        if (block) {
+            startMessage(block.header);
+            i = block.end - 1;
+            continue;
+        }
+
+        // Attributions are often wrapped onto a second line
+        const attribution = parseAttribution(line);
+        const wrapped = !attribution && lines[i + 1] ? parseAttribution(`${line} ${lines[i + 1]}`) : null;
+        if (attribution || wrapped) {
+            if (wrapped) i++;
+            startMessage(attribution || wrapped);
+            continue;
+        }
+
+        message.lines.push(line);
+    }
+    messages.push(message);
+
+    return messages
+        .map(({ lines: bodyLines, ...header }) => ({
+            ...header,
+            body: bodyLines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+        }))
+        .filter(m => m.body);
+}
+
+/**
+ * Format a thread message for the prompt and the context preview
+ * @param {{sender: string, date: string, subject: string, body: string}} message
+ * @param {number} index - Position in the thread, 0 for the newest
+ * @returns {string}
+ */
+export function formatThreadMessage(message, index) {
+    const headerLines = [
+        `=== Message ${index + 1} ===`,
+        `From: ${message.sender || 'Unknown'}`,
+        ...(message.date ? [`Date: ${message.date}`] : []),
+        ...(message.subject ? [`Subject: ${message.subject}`] : [])
+    ];
+    return `${headerLines.join('\n')}\n\n${message.body}`;
+}
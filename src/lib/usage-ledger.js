@@ -0,0 +1,144 @@
+import { storage } from './storage.js';
+
+/**
+ * Oldest entries are dropped beyond this many to keep localStorage small
+ */
+const MAX_LEDGER_ENTRIES = 5000;
+
+/**
+ * Quote a value for CSV output
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const usageLedger = {
+    /**
+     * Get all ledger entries, oldest first
+     * @returns {Array<{date: string, provider: string, model: string, promptName: string, inputTokens: number, outputTokens: number}>}
+     */
+    getAll() {
+        return storage.getUsageLedger();
+    },
+
+    /**
+     * Record the token usage of one LLM call
+     * @param {Object} entry
+     * @param {string} entry.provider
+     * @param {string} entry.model
+     * @param {string} [entry.promptName]
+     * @param {number} entry.inputTokens
+     * @param {number} entry.outputTokens
+     */
+    record({ provider, model, promptName, inputTokens, outputTokens }) {
+        const entries = this.getAll();
+        entries.push({
+            date: new Date().toISOString(),
+            provider,
+            model: model || '',
+            promptName: promptName || '',
+            inputTokens: inputTokens || 0,
+            outputTokens: outputTokens || 0
+        });
+        storage.setUsageLedger(entries.slice(-MAX_LEDGER_ENTRIES));
+    },
+
+    /**
+     * Delete all ledger entries
+     */
+    clear() {
+        storage.setUsageLedger([]);
+    },
+
+    /**
+     * Find the price for a model, matching the longest price-table prefix
+     * @param {string} model
+     * @returns {{input: number, output: number}|null}
+     */
+    getPrice(model) {
+        const table = storage.getPriceTable();
+        const name = (model || '').toLowerCase();
+        const match = Object.keys(table)
+            .filter(prefix => name.startsWith(prefix.toLowerCase()))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? table[match] : null;
+    },
+
+    /**
+     * Estimate the cost of an entry in USD
+     * @param {Object} entry
+     * @returns {number|null} - null when the model has no price
+     */
+    estimateCost(entry) {
+        const price = this.getPrice(entry.model);
+        if (!price) return null;
+        return (entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6;
+    },
+
+    /**
+     * Total tokens and cost grouped by a key
+     * @param {function(Object): string} keyFn
+     * @returns {Array<{key: string, calls: number, inputTokens: number, outputTokens: number, cost: number, unpriced: number}>}
+     */
+    summarize(keyFn) {
+        const groups = new Map();
+
+        for (const entry of this.getAll()) {
+            const key = keyFn(entry);
+            const group = groups.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+            const cost = this.estimateCost(entry);
+
+            group.calls++;
+            group.inputTokens += entry.inputTokens;
+            group.outputTokens += entry.outputTokens;
+            if (cost === null) group.unpriced++;
+            else group.cost += cost;
+
+            groups.set(key, group);
+        }
+
+        return Array.from(groups.values());
+    },
+
+    /**
+     * Totals per day (local date), newest first
+     * @returns {Array}
+     */
+    summarizeByDay() {
+        return this.summarize(entry => new Date(entry.date).toLocaleDateString('en-CA'))
+            .sort((a, b) => b.key.localeCompare(a.key));
+    },
+
+    /**
+     * Totals per model, most tokens first
+     * @returns {Array}
+     */
+    summarizeByModel() {
+        return this.summarize(entry => `${entry.provider} / ${entry.model}`)
+            .sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens));
+    },
+
+    /**
+     * Export the ledger as CSV, including the estimated cost per call
+     * @returns {string}
+     */
+    toCsv() {
+        const header = ['date', 'provider', 'model', 'prompt', 'input_tokens', 'output_tokens', 'estimated_cost_usd'];
+        const rows = this.getAll().map(entry => {
+            const cost = this.estimateCost(entry);
+            return [
+                entry.date,
+                entry.provider,
+                entry.model,
+                entry.promptName,
+                entry.inputTokens,
+                entry.outputTokens,
+                cost === null ? '' : cost.toFixed(6)
+            ].map(csvField).join(',');
+        });
+        return [header.join(','), ...rows].join('\n');
+    }
+};
@@ -1,38 +1,14 @@
 import { storage } from '../lib/storage.js';
 import { promptManager } from '../lib/prompt-manager.js';
+import { usageLedger } from '../lib/usage-ledger.js';
+import { styleProfiles, DEFAULT_STYLE_GUIDE } from '../lib/style-profiles.js';
+import { getSignatureRules, extractSignature } from '../lib/signature-rules.js';
+import { listModels, testConnection, getConfigError, getProviderDefinition, getProviderName, PROVIDERS, PROTECTED_SYSTEM_RULES } from '../lib/llm-providers.js';
 
 // DOM Elements
 let elements = {};
 let currentEditingPromptId = null;
 
-// Provider default values
-const providerDefaults = {
-    openai: {
-        endpoint: 'https://api.openai.com/v1',
-        model: 'gpt-4o-mini',
-        endpointHint: 'Default: https://api.openai.com/v1',
-        modelHint: 'e.g., gpt-4o, gpt-4o-mini, gpt-3.5-turbo'
-    },
-    claude: {
-        endpoint: 'https://api.anthropic.com',
-        model: 'claude-3-5-sonnet-20241022',
-        endpointHint: 'Default: https://api.anthropic.com',
-        modelHint: 'e.g., claude-3-5-sonnet-20241022, claude-3-haiku-20240307'
-    },
-    gemini: {
-        endpoint: 'https://generativelanguage.googleapis.com',
-        model: 'gemini-1.5-flash',
-        endpointHint: 'Default: https://generativelanguage.googleapis.com',
-        modelHint: 'e.g., gemini-1.5-flash, gemini-1.5-pro, gemini-pro'
-    },
-    custom: {
-        endpoint: '',
-        model: '',
-        endpointHint: 'OpenAI-compatible API endpoint URL',
-        modelHint: 'Model name as required by the API'
-    }
-};
-
 /**
  * Initialize when Office is ready or DOM is loaded
  * We use both to be safe
@@ -53,12 +29,19 @@ if (typeof Office !== 'undefined') {
 function initializeApp() {
     console.log('Initializing settings app...');
 
-    // Ensure default prompts exist if storage is empty
+    // Ensure default prompts and style profiles exist if storage is empty
     promptManager.initDefaults();
+    styleProfiles.initDefaults();
 
     // Initial render
+    renderProviderCards();
     renderPromptsList();
+    renderStyleProfiles(styleProfiles.getActive().id);
+    loadSignatureSettings();
     loadSettings();
+    renderFallbackList();
+    renderUsageSummary();
+    renderPriceTable();
 
     // Set up event listeners
     setupEventListeners();
@@ -92,8 +75,38 @@ function setupEventListeners() {
     const cancelModalBtn = $('cancelModalBtn');
     if (cancelModalBtn) cancelModalBtn.onclick = () => closePromptModal();
 
-    const toggleApiKeyBtn = $('toggleApiKey');
-    if (toggleApiKeyBtn) toggleApiKeyBtn.onclick = () => toggleApiKeyVisibility();
+    const testConnectionBtn = $('testConnectionBtn');
+    if (testConnectionBtn) testConnectionBtn.onclick = () => runConnectionTest();
+
+    const styleProfileSelect = $('styleProfileSelect');
+    if (styleProfileSelect) styleProfileSelect.onchange = () => renderStyleProfiles(styleProfileSelect.value);
+
+    const addStyleProfileBtn = $('addStyleProfileBtn');
+    if (addStyleProfileBtn) addStyleProfileBtn.onclick = () => addStyleProfile();
+
+    const deleteStyleProfileBtn = $('deleteStyleProfileBtn');
+    if (deleteStyleProfileBtn) deleteStyleProfileBtn.onclick = () => deleteStyleProfile();
+
+    const resetStyleGuideBtn = $('resetStyleGuideBtn');
+    if (resetStyleGuideBtn) resetStyleGuideBtn.onclick = () => resetStyleGuide();
+
+    const saveStyleProfileBtn = $('saveStyleProfileBtn');
+    if (saveStyleProfileBtn) saveStyleProfileBtn.onclick = () => saveStyleProfile();
+
+    const previewSignatureBtn = $('previewSignatureBtn');
+    if (previewSignatureBtn) previewSignatureBtn.onclick = () => previewSignature();
+
+    const saveSignatureBtn = $('saveSignatureBtn');
+    if (saveSignatureBtn) saveSignatureBtn.onclick = () => saveSignatureSettings();
+
+    const exportUsageBtn = $('exportUsageBtn');
+    if (exportUsageBtn) exportUsageBtn.onclick = () => exportUsageCsv();
+
+    const clearUsageBtn = $('clearUsageBtn');
+    if (clearUsageBtn) clearUsageBtn.onclick = () => clearUsage();
+
+    const addPriceBtn = $('addPriceBtn');
+    if (addPriceBtn) addPriceBtn.onclick = () => addPriceRow();
 
     // Universal delegator for dynamic items (Edit/Delete buttons)
     document.addEventListener('click', (e) => {
@@ -119,16 +132,62 @@ function setupEventListeners() {
             return;
         }
 
+        // Show/hide a secret provider field
+        const toggleBtn = target.closest('.toggle-btn');
+        if (toggleBtn) {
+            toggleFieldVisibility(toggleBtn);
+            return;
+        }
+
+        // Load the provider's model list
+        if (target.closest('#refreshModelsBtn')) {
+            refreshModelList();
+            return;
+        }
+
+        // Reorder fallback provider
+        const moveBtn = target.closest('.fallback-move-btn');
+        if (moveBtn) {
+            const item = moveBtn.closest('.fallback-item');
+            if (item && item.dataset.provider) {
+                moveFallbackProvider(item.dataset.provider, Number(moveBtn.dataset.direction));
+            }
+            return;
+        }
+
+        // Delete price row
+        const deletePriceBtn = target.closest('.delete-price-btn');
+        if (deletePriceBtn) {
+            deletePriceBtn.closest('.price-row')?.remove();
+            savePriceTable();
+            return;
+        }
+
         // Backdrop click to close modal
         if (target.classList.contains('modal-backdrop')) {
             closePromptModal();
         }
     });
 
-    // Provider selection radios
-    document.querySelectorAll('input[name="provider"]').forEach(radio => {
-        radio.addEventListener('change', onProviderChange);
+    document.addEventListener('change', (e) => {
+        // Provider selection radios
+        if (e.target.name === 'provider') {
+            onProviderChange(e);
+            return;
+        }
+
+        // Fallback provider checkboxes
+        if (e.target.classList.contains('fallback-toggle')) {
+            const item = e.target.closest('.fallback-item');
+            if (item) toggleFallbackProvider(item.dataset.provider, e.target.checked);
+        }
+
+        // Price table edits are saved as they happen
+        if (e.target.closest('.price-row')) {
+            savePriceTable();
+        }
     });
+
 }
 
 /**
@@ -143,30 +202,283 @@ function loadSettings() {
         if (radio) radio.checked = true;
 
         loadProviderConfig(activeProvider, settings.providers[activeProvider]);
+        loadRequestSettings();
     } catch (e) {
         console.error('Error loading settings:', e);
     }
 }
 
+/**
+ * Eye icons for the show/hide button of secret fields
+ */
+const EYE_ICONS = `
+    <svg class="eye-open" xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none"
+        stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+        <circle cx="12" cy="12" r="3"></circle>
+    </svg>
+    <svg class="eye-closed" xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none"
+        stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display:none">
+        <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
+        <line x1="1" y1="1" x2="23" y2="23"></line>
+    </svg>`;
+
+/**
+ * Render a selection card for every registered provider
+ */
+function renderProviderCards() {
+    const providerCardsEl = $('providerCards');
+    if (!providerCardsEl) return;
+
+    providerCardsEl.innerHTML = PROVIDERS.map(provider => `
+        <label class="provider-card" data-provider="${provider.id}">
+            <input type="radio" name="provider" value="${provider.id}">
+            <div class="provider-content">
+                <span class="provider-icon">${provider.icon}</span>
+                <span class="provider-name">${escapeHtml(provider.name)}</span>
+            </div>
+        </label>
+    `).join('');
+}
+
+/**
+ * Build the input markup for a provider config field
+ * Values are filled in afterwards through the DOM, so they needn't be escaped here.
+ * @param {Object} field - Field declared in the provider registry
+ * @returns {string}
+ */
+function renderFieldControl(field) {
+    const attributes = Object.entries(field.attributes || {})
+        .map(([name, value]) => ` ${name}="${value}"`)
+        .join('');
+    const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+
+    switch (field.type) {
+        case 'password':
+            return `
+                <div class="input-with-toggle">
+                    <input type="password" id="${field.key}" class="input"${placeholder || ' placeholder="Enter your API key"'}>
+                    <button type="button" class="toggle-btn" data-field="${field.key}" title="Show/Hide">${EYE_ICONS}</button>
+                </div>`;
+        case 'model':
+            return `
+                <div class="input-with-action">
+                    <input type="text" id="${field.key}" class="input"${placeholder} list="modelOptions">
+                    <button type="button" id="refreshModelsBtn" class="btn btn-secondary btn-small">Load models</button>
+                </div>
+                <datalist id="modelOptions"></datalist>`;
+        case 'select':
+            return `
+                <select id="${field.key}" class="input">
+                    ${field.options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+                </select>`;
+        default:
+            return `<input type="${field.type}" id="${field.key}" class="input"${placeholder}${attributes}>`;
+    }
+}
+
+/**
+ * Render the config form for a provider from its registry fields
+ * @param {Object} definition - Provider registry entry
+ * @param {Object} [config] - Saved config
+ */
+function renderProviderFields(definition, config) {
+    const providerFieldsEl = $('providerFields');
+    if (!providerFieldsEl) return;
+
+    providerFieldsEl.innerHTML = definition.fields.map(field => `
+        <div class="form-group">
+            <label class="form-label" for="${field.key}">${escapeHtml(field.label)}</label>
+            ${renderFieldControl(field)}
+            <span class="form-hint" id="${field.key}Hint">${escapeHtml(field.hint || '')}</span>
+        </div>
+    `).join('');
+
+    definition.fields.forEach(field => {
+        const input = $(field.key);
+        if (input) input.value = config?.[field.key] || field.default;
+    });
+}
+
+/**
+ * Get a provider's field of the given type, e.g. its model field
+ * @param {string} provider
+ * @param {string} type
+ * @returns {Object|undefined}
+ */
+function getProviderField(provider, type) {
+    return getProviderDefinition(provider)?.fields.find(field => field.type === type);
+}
+
+/**
+ * Get the endpoint a provider config will use, including the default
+ * @param {string} provider
+ * @param {Object} config
+ * @returns {string}
+ */
+function getEffectiveEndpoint(provider, config) {
+    return config.endpoint || getProviderField(provider, 'url')?.default || '';
+}
+
 /**
  * Load provider-specific configuration
  */
 function loadProviderConfig(provider, config) {
-    const defaults = providerDefaults[provider];
-    if (!defaults) return;
+    const definition = getProviderDefinition(provider);
+    if (!definition) return;
 
-    const apiKeyEl = $('apiKey');
-    const endpointEl = $('endpoint');
-    const modelEl = $('model');
+    renderProviderFields(definition, config);
 
-    if (apiKeyEl) apiKeyEl.value = config?.apiKey || '';
-    if (endpointEl) endpointEl.value = config?.endpoint || defaults.endpoint;
-    if (modelEl) modelEl.value = config?.model || defaults.model;
+    // Suggest models from the cached list, or fetch it the first time the provider is usable
+    const modelField = getProviderField(provider, 'model');
+    if (!modelField) return;
 
-    const endpointHintEl = $('endpointHint');
+    const cached = getCachedModels(provider, getEffectiveEndpoint(provider, readProviderForm(provider)));
+    renderModelOptions(provider, cached);
+    if (!cached && !getConfigError(provider, config)) {
+        refreshModelList({ quiet: true });
+    }
+}
+
+/**
+ * Get the cached model list for a provider, if it was fetched from the same endpoint
+ * @param {string} provider
+ * @param {string} endpoint
+ * @returns {string[]|null}
+ */
+function getCachedModels(provider, endpoint) {
+    const entry = storage.getModelCache()[provider];
+    return entry && entry.endpoint === endpoint ? entry.models : null;
+}
+
+/**
+ * Fill the model field suggestions
+ * @param {string} provider
+ * @param {string[]|null} models - null when the list hasn't been loaded
+ * @param {string} [failure] - Why the list couldn't be loaded
+ */
+function renderModelOptions(provider, models, failure) {
+    const modelOptionsEl = $('modelOptions');
     const modelHintEl = $('modelHint');
-    if (endpointHintEl) endpointHintEl.textContent = defaults.endpointHint;
-    if (modelHintEl) modelHintEl.textContent = defaults.modelHint;
+    if (!modelOptionsEl) return;
+
+    modelOptionsEl.innerHTML = (models || [])
+        .map(name => `<option value="${escapeHtml(name)}"></option>`)
+        .join('');
+
+    if (!modelHintEl) return;
+    if (failure) {
+        modelHintEl.textContent = `Couldn't load the model list (${failure}) - type the model name instead.`;
+    } else if (models?.length) {
+        modelHintEl.textContent = `${models.length} model${models.length === 1 ? '' : 's'} available - start typing to search.`;
+    } else {
+        modelHintEl.textContent = getProviderField(provider, 'model')?.hint || '';
+    }
+}
+
+/**
+ * Fetch the provider's model list into the model field suggestions and cache it
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Don't show toasts (automatic refresh)
+ */
+async function refreshModelList({ quiet = false } = {}) {
+    const checkedRadio = document.querySelector('input[name="provider"]:checked');
+    const refreshModelsBtn = $('refreshModelsBtn');
+    if (!checkedRadio) return;
+
+    const provider = checkedRadio.value;
+    const config = readProviderForm(provider);
+    config.endpoint = getEffectiveEndpoint(provider, config);
+
+    if (refreshModelsBtn) refreshModelsBtn.disabled = true;
+    try {
+        const models = await listModels(provider, config);
+
+        // The user may have switched provider while the list was loading
+        if (document.querySelector('input[name="provider"]:checked')?.value !== provider) return;
+
+        const cache = storage.getModelCache();
+        cache[provider] = { endpoint: config.endpoint, models, fetchedAt: new Date().toISOString() };
+        storage.setModelCache(cache);
+        renderModelOptions(provider, models);
+
+        if (quiet) return;
+        if (models.length === 0) {
+            showToast('No models found', 'error');
+        } else {
+            showToast(`Found ${models.length} model${models.length === 1 ? '' : 's'}`, 'success');
+        }
+    } catch (e) {
+        if (document.querySelector('input[name="provider"]:checked')?.value !== provider) return;
+
+        renderModelOptions(provider, null, e.message);
+        if (!quiet) showToast('Could not load models: ' + e.message, 'error');
+    } finally {
+        if (refreshModelsBtn) refreshModelsBtn.disabled = false;
+    }
+}
+
+/**
+ * Read the provider config currently entered in the form
+ * @param {string} provider
+ * @returns {Object}
+ */
+function readProviderForm(provider) {
+    const config = {};
+    (getProviderDefinition(provider)?.fields || []).forEach(field => {
+        const value = ($(field.key)?.value || '').trim();
+        config[field.key] = field.type === 'url' ? value.replace(/\/+$/, '') : value;
+    });
+    return config;
+}
+
+/**
+ * Test the entered provider config with a real request and show the diagnostics
+ */
+async function runConnectionTest() {
+    const checkedRadio = document.querySelector('input[name="provider"]:checked');
+    const testResultsEl = $('testResults');
+    const testConnectionBtn = $('testConnectionBtn');
+    if (!checkedRadio || !testResultsEl) return;
+
+    const provider = checkedRadio.value;
+    const config = readProviderForm(provider);
+    // The custom endpoint is checked as typed, so a trailing /chat/completions can be flagged
+    if (provider === 'custom') config.endpoint = ($('endpoint')?.value || '').trim();
+
+    testResultsEl.style.display = 'flex';
+    testResultsEl.textContent = 'Testing...';
+    if (testConnectionBtn) testConnectionBtn.disabled = true;
+
+    try {
+        const { checks } = await testConnection(provider, config);
+        const icons = { ok: '✓', warn: '!', fail: '✗' };
+
+        testResultsEl.innerHTML = checks.map(check => `
+            <div class="test-check test-${check.status}">
+                <span class="test-check-icon">${icons[check.status]}</span>
+                <span class="test-check-label">${escapeHtml(check.label)}</span>
+                <span class="test-check-message">${escapeHtml(check.message)}</span>
+            </div>
+        `).join('');
+    } catch (e) {
+        testResultsEl.textContent = 'Test failed: ' + e.message;
+    } finally {
+        if (testConnectionBtn) testConnectionBtn.disabled = false;
+    }
+}
+
+/**
+ * Load timeout and retry settings
+ */
+function loadRequestSettings() {
+    const requestSettings = storage.getRequestSettings();
+
+    const timeoutEl = $('timeoutSeconds');
+    const retriesEl = $('maxRetries');
+
+    if (timeoutEl) timeoutEl.value = requestSettings.timeoutSeconds;
+    if (retriesEl) retriesEl.value = requestSettings.maxRetries;
 }
 
 /**
@@ -177,25 +489,28 @@ function onProviderChange(e) {
     const settings = storage.getProviderSettings();
     const config = settings.providers[provider];
     loadProviderConfig(provider, config);
+
+    const testResultsEl = $('testResults');
+    if (testResultsEl) testResultsEl.style.display = 'none';
 }
 
 /**
- * Toggle API key visibility
+ * Toggle the visibility of a secret field such as the API key
+ * @param {HTMLElement} toggleBtn - Button whose data-field names the input
  */
-function toggleApiKeyVisibility() {
-    const apiKeyEl = $('apiKey');
-    const toggleBtn = $('toggleApiKey');
-    if (!apiKeyEl || !toggleBtn) return;
+function toggleFieldVisibility(toggleBtn) {
+    const inputEl = $(toggleBtn.dataset.field);
+    if (!inputEl) return;
 
     const eyeOpen = toggleBtn.querySelector('.eye-open');
     const eyeClosed = toggleBtn.querySelector('.eye-closed');
 
-    if (apiKeyEl.type === 'password') {
-        apiKeyEl.type = 'text';
+    if (inputEl.type === 'password') {
+        inputEl.type = 'text';
         if (eyeOpen) eyeOpen.style.display = 'none';
         if (eyeClosed) eyeClosed.style.display = 'block';
     } else {
-        apiKeyEl.type = 'password';
+        inputEl.type = 'password';
         if (eyeOpen) eyeOpen.style.display = 'block';
         if (eyeClosed) eyeClosed.style.display = 'none';
     }
@@ -213,19 +528,419 @@ function saveSettings() {
         const settings = storage.getProviderSettings();
 
         settings.activeProvider = selectedProvider;
-        settings.providers[selectedProvider] = {
-            apiKey: ($('apiKey')?.value || '').trim(),
-            endpoint: ($('endpoint')?.value || '').trim(),
-            model: ($('model')?.value || '').trim()
-        };
+        const config = readProviderForm(selectedProvider);
+        settings.providers[selectedProvider] = config;
 
         storage.setProviderSettings(settings);
+
+        // Keep the previous value when a field is left empty
+        const requestSettings = storage.getRequestSettings();
+        const timeoutSeconds = parseInt($('timeoutSeconds')?.value, 10);
+        const maxRetries = parseInt($('maxRetries')?.value, 10);
+        storage.setRequestSettings({
+            timeoutSeconds: Number.isNaN(timeoutSeconds) ? requestSettings.timeoutSeconds : Math.max(0, timeoutSeconds),
+            maxRetries: Number.isNaN(maxRetries) ? requestSettings.maxRetries : Math.min(10, Math.max(0, maxRetries))
+        });
+
+        renderFallbackList();
+
+        // Catch typos now rather than as an API error at send time
+        const knownModels = getCachedModels(selectedProvider, getEffectiveEndpoint(selectedProvider, config));
+        if (config.model && knownModels?.length && !knownModels.includes(config.model)) {
+            showToast(`Settings saved, but "${config.model}" isn't in the provider's model list`, 'error');
+            return;
+        }
+
         showToast('Settings saved successfully!', 'success');
     } catch (e) {
         showToast('Error saving settings: ' + e.message, 'error');
     }
 }
 
+/**
+ * Get the enabled fallback providers, excluding the active one
+ * @param {Object} settings
+ * @returns {string[]}
+ */
+function getEnabledFallbacks(settings) {
+    return (settings.fallbackProviders || [])
+        .filter(id => settings.providers[id] && id !== settings.activeProvider);
+}
+
+/**
+ * Get the fallback display order: enabled providers first (in priority order), then the rest
+ * @param {Object} settings
+ * @returns {string[]}
+ */
+function getFallbackOrder(settings) {
+    const enabled = getEnabledFallbacks(settings);
+    const rest = Object.keys(settings.providers).filter(id => !enabled.includes(id));
+    return [...enabled, ...rest].filter(id => id !== settings.activeProvider);
+}
+
+/**
+ * Render the fallback providers list
+ */
+function renderFallbackList() {
+    const fallbackListEl = $('fallbackList');
+    if (!fallbackListEl) return;
+
+    const settings = storage.getProviderSettings();
+    const enabled = getEnabledFallbacks(settings);
+    const order = getFallbackOrder(settings);
+
+    fallbackListEl.innerHTML = order.map((id, index) => {
+        const configured = !getConfigError(id, settings.providers[id]);
+        const checked = configured && enabled.includes(id);
+        const position = enabled.indexOf(id);
+
+        return `
+            <div class="fallback-item ${configured ? '' : 'unconfigured'}" data-provider="${id}">
+                <label>
+                    <input type="checkbox" class="fallback-toggle" ${checked ? 'checked' : ''} ${configured ? '' : 'disabled'}>
+                    ${escapeHtml(getProviderName(id))}
+                </label>
+                <span class="fallback-status">${configured ? (checked ? `#${position + 1}` : '') : 'Not configured'}</span>
+                <button class="fallback-move-btn" data-direction="-1" title="Move up" ${checked && position > 0 ? '' : 'disabled'}>▲</button>
+                <button class="fallback-move-btn" data-direction="1" title="Move down" ${checked && position < enabled.length - 1 ? '' : 'disabled'}>▼</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Enable or disable a provider as a fallback
+ * @param {string} provider
+ * @param {boolean} enabled
+ */
+function toggleFallbackProvider(provider, enabled) {
+    const settings = storage.getProviderSettings();
+    const fallbacks = getEnabledFallbacks(settings).filter(id => id !== provider);
+    if (enabled) fallbacks.push(provider);
+
+    settings.fallbackProviders = fallbacks;
+    storage.setProviderSettings(settings);
+    renderFallbackList();
+}
+
+/**
+ * Move a fallback provider up (-1) or down (1) in the priority order
+ * @param {string} provider
+ * @param {number} direction
+ */
+function moveFallbackProvider(provider, direction) {
+    const settings = storage.getProviderSettings();
+    const fallbacks = getEnabledFallbacks(settings);
+    const index = fallbacks.indexOf(provider);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= fallbacks.length) return;
+
+    [fallbacks[index], fallbacks[target]] = [fallbacks[target], fallbacks[index]];
+    settings.fallbackProviders = fallbacks;
+    storage.setProviderSettings(settings);
+    renderFallbackList();
+}
+
+/**
+ * Render the style profile dropdown and load a profile into the editor
+ * @param {string} selectedId
+ */
+function renderStyleProfiles(selectedId) {
+    const selectEl = $('styleProfileSelect');
+    const nameEl = $('styleProfileName');
+    const guideEl = $('styleGuide');
+    if (!selectEl || !nameEl || !guideEl) return;
+
+    const profiles = styleProfiles.getAll();
+    const selected = profiles.find(p => p.id === selectedId) || profiles[0];
+
+    selectEl.innerHTML = profiles
+        .map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+    selectEl.value = selected.id;
+
+    nameEl.value = selected.name;
+    guideEl.value = selected.styleGuide;
+
+    const protectedRulesEl = $('protectedRules');
+    if (protectedRulesEl) protectedRulesEl.textContent = PROTECTED_SYSTEM_RULES;
+}
+
+/**
+ * Create a new profile starting from the default style
+ */
+function addStyleProfile() {
+    const profile = styleProfiles.add('New profile', DEFAULT_STYLE_GUIDE);
+    renderStyleProfiles(profile.id);
+    $('styleProfileName')?.select();
+}
+
+/**
+ * Delete the profile being edited
+ */
+function deleteStyleProfile() {
+    const id = $('styleProfileSelect')?.value;
+    if (!styleProfiles.delete(id)) {
+        showToast('At least one style profile is required', 'error');
+        return;
+    }
+
+    renderStyleProfiles(styleProfiles.getActive().id);
+    showToast('Style profile deleted', 'success');
+}
+
+/**
+ * Put the built-in style guide back in the editor; it's kept only once saved
+ */
+function resetStyleGuide() {
+    const guideEl = $('styleGuide');
+    if (guideEl) guideEl.value = DEFAULT_STYLE_GUIDE;
+    showToast('Default style restored - save to keep it', 'success');
+}
+
+/**
+ * Save the profile being edited
+ */
+function saveStyleProfile() {
+    const id = $('styleProfileSelect')?.value;
+    const name = $('styleProfileName')?.value.trim();
+    const styleGuide = $('styleGuide')?.value.trim();
+
+    if (!name || !styleGuide) {
+        showToast('Please fill in both name and style guide', 'error');
+        return;
+    }
+
+    styleProfiles.update(id, name, styleGuide);
+    renderStyleProfiles(id);
+    showToast('Style profile saved!', 'success');
+}
+
+/**
+ * Load the signature rules into the form
+ */
+function loadSignatureSettings() {
+    const settings = storage.getSignatureSettings();
+    $('signatureText').value = settings.signatureText;
+    $('signatureMarkers').value = settings.customMarkers.join('\n');
+}
+
+/**
+ * Signature rules as entered in the form
+ * @returns {{customMarkers: string[], signatureText: string}}
+ */
+function readSignatureForm() {
+    return {
+        signatureText: $('signatureText').value.trim(),
+        customMarkers: $('signatureMarkers').value.split('\n').map(m => m.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Save the signature rules; the taskpane picks them up when it reloads
+ */
+function saveSignatureSettings() {
+    storage.setSignatureSettings(readSignatureForm());
+    showToast('Signature saved!', 'success');
+}
+
+/**
+ * Show what the rules in the form detect as signature in the open draft
+ */
+function previewSignature() {
+    const previewEl = $('signaturePreview');
+    const item = typeof Office !== 'undefined' ? Office.context?.mailbox?.item : null;
+    if (!item?.body) {
+        previewEl.textContent = 'Open the settings from a draft to preview its signature';
+        return;
+    }
+
+    item.body.getAsync(Office.CoercionType.Html, (result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            previewEl.textContent = `Could not read the draft: ${result.error?.message || 'unknown error'}`;
+            return;
+        }
+
+        const signature = extractSignature(result.value, getSignatureRules(readSignatureForm()));
+        previewEl.textContent = signature || '(No signature detected)';
+    });
+}
+
+/**
+ * Format a token count for display
+ * @param {number} count
+ * @returns {string}
+ */
+function formatTokens(count) {
+    return count.toLocaleString();
+}
+
+/**
+ * Format an estimated cost, noting calls whose model has no price
+ * @param {{cost: number, unpriced: number}} group
+ * @returns {string}
+ */
+function formatCost(group) {
+    const cost = `$${group.cost.toFixed(group.cost < 1 ? 4 : 2)}`;
+    return group.unpriced > 0 ? `${cost} + ${group.unpriced} unpriced` : cost;
+}
+
+/**
+ * Render a usage summary table
+ * @param {string} caption
+ * @param {string} keyLabel
+ * @param {Array} groups - From usageLedger.summarize*
+ * @returns {string}
+ */
+function renderUsageTable(caption, keyLabel, groups) {
+    return `
+        <table class="usage-table">
+            <caption>${escapeHtml(caption)}</caption>
+            <thead>
+                <tr><th>${escapeHtml(keyLabel)}</th><th>Calls</th><th>Input</th><th>Output</th><th>Est. cost</th></tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => `
+                    <tr>
+                        <td>${escapeHtml(group.key)}</td>
+                        <td>${group.calls}</td>
+                        <td>${formatTokens(group.inputTokens)}</td>
+                        <td>${formatTokens(group.outputTokens)}</td>
+                        <td>${formatCost(group)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render usage totals per day and per model
+ */
+function renderUsageSummary() {
+    const usageSummaryEl = $('usageSummary');
+    if (!usageSummaryEl) return;
+
+    if (usageLedger.getAll().length === 0) {
+        usageSummaryEl.innerHTML = `
+            <div class="empty-state">
+                <p>No usage recorded yet.</p>
+            </div>
+        `;
+        return;
+    }
+
+    usageSummaryEl.innerHTML =
+        renderUsageTable('Per day', 'Date', usageLedger.summarizeByDay()) +
+        renderUsageTable('Per model', 'Model', usageLedger.summarizeByModel());
+}
+
+/**
+ * Render a single editable price row
+ * @param {string} model
+ * @param {{input: number, output: number}} price
+ * @returns {string}
+ */
+function renderPriceRow(model = '', price = { input: '', output: '' }) {
+    return `
+        <div class="price-row">
+            <input type="text" class="input price-model" value="${escapeHtml(model)}" placeholder="Model prefix">
+            <input type="number" class="input price-input" value="${price.input}" min="0" step="any" placeholder="Input">
+            <input type="number" class="input price-output" value="${price.output}" min="0" step="any" placeholder="Output">
+            <div class="prompt-actions">
+                <button class="btn btn-danger delete-price-btn" title="Delete">×</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the editable price table
+ */
+function renderPriceTable() {
+    const priceTableEl = $('priceTable');
+    if (!priceTableEl) return;
+
+    const table = storage.getPriceTable();
+    priceTableEl.innerHTML = `
+        <div class="price-row price-row-header">
+            <span>Model</span><span>Input</span><span>Output</span><span></span>
+        </div>
+    ` + Object.entries(table).map(([model, price]) => renderPriceRow(model, price)).join('');
+}
+
+/**
+ * Add an empty price row
+ */
+function addPriceRow() {
+    const priceTableEl = $('priceTable');
+    if (!priceTableEl) return;
+
+    priceTableEl.insertAdjacentHTML('beforeend', renderPriceRow());
+    priceTableEl.querySelector('.price-row:last-child .price-model')?.focus();
+}
+
+/**
+ * Save the price table from the editable rows
+ */
+function savePriceTable() {
+    const table = {};
+    document.querySelectorAll('#priceTable .price-row:not(.price-row-header)').forEach(row => {
+        const model = row.querySelector('.price-model').value.trim();
+        if (!model) return;
+        table[model] = {
+            input: parseFloat(row.querySelector('.price-input').value) || 0,
+            output: parseFloat(row.querySelector('.price-output').value) || 0
+        };
+    });
+
+    storage.setPriceTable(table);
+    renderUsageSummary();
+}
+
+/**
+ * Download the usage ledger as a CSV file
+ */
+function exportUsageCsv() {
+    if (usageLedger.getAll().length === 0) {
+        showToast('No usage to export', 'error');
+        return;
+    }
+
+    const blob = new Blob([usageLedger.toCsv()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ai-assistant-usage-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Clear the usage ledger
+ */
+function clearUsage() {
+    usageLedger.clear();
+    renderUsageSummary();
+    showToast('Usage cleared', 'success');
+}
+
+/**
+ * Summarise a prompt's overrides, e.g. "Claude · claude-3-5-sonnet-latest · temp 0.2"
+ * @param {Object} [overrides]
+ * @returns {string} - Empty when the prompt uses the provider settings
+ */
+function describePromptOverrides(overrides = {}) {
+    const parts = [];
+    if (overrides.provider) parts.push(getProviderName(overrides.provider));
+    if (overrides.model) parts.push(overrides.model);
+    if (overrides.temperature !== undefined) parts.push(`temp ${overrides.temperature}`);
+    if (overrides.maxTokens !== undefined) parts.push(`max ${overrides.maxTokens} tokens`);
+    return parts.join(' · ');
+}
+
 /**
  * Render the prompts list
  */
@@ -250,6 +965,7 @@ function renderPromptsList() {
             <div class="prompt-info">
                 <div class="prompt-name">${escapeHtml(prompt.name)}</div>
                 <div class="prompt-instruction">${escapeHtml(prompt.instruction)}</div>
+                ${describePromptOverrides(prompt.overrides) ? `<div class="prompt-overrides">${escapeHtml(describePromptOverrides(prompt.overrides))}</div>` : ''}
             </div>
             <div class="prompt-actions">
                 <button class="btn btn-secondary edit-prompt-btn" title="Edit">
@@ -281,6 +997,7 @@ function openPromptModal(promptId = null) {
     if (!modalEl || !modalTitleEl || !nameEl || !instructionEl) return;
 
     currentEditingPromptId = promptId;
+    populatePromptProviderOptions();
 
     if (promptId) {
         const prompt = promptManager.getById(promptId);
@@ -288,17 +1005,73 @@ function openPromptModal(promptId = null) {
             modalTitleEl.textContent = 'Edit Prompt';
             nameEl.value = prompt.name;
             instructionEl.value = prompt.instruction;
+            setPromptOverrideFields(prompt.overrides);
         }
     } else {
         modalTitleEl.textContent = 'Add Prompt';
         nameEl.value = '';
         instructionEl.value = '';
+        setPromptOverrideFields();
     }
 
     modalEl.style.display = 'flex';
     nameEl.focus();
 }
 
+/**
+ * Fill the modal's provider dropdown
+ */
+function populatePromptProviderOptions() {
+    const providerEl = $('promptProvider');
+    if (!providerEl) return;
+
+    // Keep the "Default" option
+    while (providerEl.options.length > 1) {
+        providerEl.remove(1);
+    }
+
+    PROVIDERS.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        providerEl.appendChild(option);
+    });
+}
+
+/**
+ * Fill the modal's override fields
+ * @param {Object} [overrides]
+ */
+function setPromptOverrideFields(overrides = {}) {
+    const fields = {
+        promptProvider: overrides.provider,
+        promptModel: overrides.model,
+        promptTemperature: overrides.temperature,
+        promptMaxTokens: overrides.maxTokens
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+        const el = $(id);
+        if (el) el.value = value ?? '';
+    });
+}
+
+/**
+ * Read the modal's override fields
+ * @returns {Object}
+ */
+function getPromptOverrideFields() {
+    const value = (id) => $(id)?.value.trim() || '';
+    const number = (id) => value(id) === '' ? undefined : parseFloat(value(id));
+
+    return {
+        provider: value('promptProvider'),
+        model: value('promptModel'),
+        temperature: number('promptTemperature'),
+        maxTokens: number('promptMaxTokens')
+    };
+}
+
 /**
  * Close modal
  */
@@ -325,12 +1098,18 @@ function savePrompt() {
         return;
     }
 
+    const overrides = getPromptOverrideFields();
+    if (overrides.temperature !== undefined && !(overrides.temperature >= 0 && overrides.temperature <= 2)) {
+        showToast('Temperature must be between 0 and 2', 'error');
+        return;
+    }
+
     try {
         if (currentEditingPromptId) {
-            promptManager.update(currentEditingPromptId, name, instruction);
+            promptManager.update(currentEditingPromptId, name, instruction, overrides);
             showToast('Prompt updated!', 'success');
         } else {
-            promptManager.add(name, instruction);
+            promptManager.add(name, instruction, overrides);
             showToast('Prompt saved successfully!', 'success');
         }
 
@@ -1,16 +1,30 @@
-import { processText } from '../lib/llm-providers.js';
+import { processText, parsePartialResult, getConfigError, getProviderName, resolveProvider } from '../lib/llm-providers.js';
 import { promptManager } from '../lib/prompt-manager.js';
-import { storage } from '../lib/storage.js';
+import { styleProfiles } from '../lib/style-profiles.js';
+import { budgetContext, budgetHistory, THREAD_MESSAGE_SEPARATOR } from '../lib/context-budget.js';
+import { parseThread, formatThreadMessage, getTextWithLineBreaks } from '../lib/thread-parser.js';
+import { getExpectedPlaceholders, checkPlaceholders, repairPlaceholders, describePlaceholder, findNewUrls, getClosingPattern, removePlaceholders } from '../lib/placeholders.js';
+import { expandTableGrids, applyTableGrid, findGridEnd } from '../lib/table-grid.js';
+import { SIGNATURE_SELECTORS, getSignatureRules, isSignatureStart, isInSignatureContainer, findSignatureElement, extractSignature, stripSignature } from '../lib/signature-rules.js';
 
 // DOM Elements
 let elements = {};
 let currentEmailBody = '';
 let currentEmailBodyHtml = '';
 let currentThreadContent = '';
+let currentThreadMessages = []; // Quoted messages ({sender, date, subject, body}), newest first
 let currentPreservedObjects = new Map(); // Map of placeholder -> original HTML
+let currentSelection = null; // Selected text in selection mode: {hash, text, preservedObjects, spansBlocks}; null when nothing is selected
 let signatureTextCache = null; // Detected signature text (excludes user content)
+let signatureRules = null; // From settings; the page reloads when coming back from settings
 let currentResult = { subject: '', body: '', preservedObjects: new Map() };
-let refreshInterval = null;
+let currentVariants = []; // Alternative drafts; currentResult is the selected one
+let currentConversation = null; // Refinement conversation for this compose item: {turns, preservedObjects, promptName, overrides, selection}; selection is the parsed selection, or null
+let captureTimer = null; // Pending debounced capture
+let lastCaptureHash = null; // Hash of the body HTML last parsed; unchanged HTML isn't parsed again
+let reportedModels = new Map(); // providerId -> model that last answered, for providers whose settings don't name one
+let activeRequest = null; // AbortController for the in-flight LLM request
+let requestStatus = null; // Transient status message (e.g. retry countdown) shown instead of monitoring info
 
 /**
  * Initialize the add-in when Office is ready
@@ -31,15 +45,30 @@ function initializeApp() {
         statusText: document.getElementById('statusText'),
         contextPreviewContent: document.getElementById('contextPreviewContent'),
         savedPrompts: document.getElementById('savedPrompts'),
+        styleProfile: document.getElementById('styleProfile'),
+        variantCount: document.getElementById('variantCount'),
         instruction: document.getElementById('instruction'),
         includeThreadToggle: document.getElementById('includeThreadToggle'),
+        editTablesToggle: document.getElementById('editTablesToggle'),
+        selectionModeToggle: document.getElementById('selectionModeToggle'),
+        selectionContextToggle: document.getElementById('selectionContextToggle'),
+        selectionContextContainer: document.getElementById('selectionContextContainer'),
         processBtn: document.getElementById('processBtn'),
+        cancelBtn: document.getElementById('cancelBtn'),
         resultSection: document.getElementById('resultSection'),
+        variantTabs: document.getElementById('variantTabs'),
         subjectText: document.getElementById('subjectText'),
         insertSubjectBtn: document.getElementById('insertSubjectBtn'),
         bodyPreview: document.getElementById('bodyPreview'),
+        placeholderWarning: document.getElementById('placeholderWarning'),
+        placeholderIssues: document.getElementById('placeholderIssues'),
+        repairPlaceholdersBtn: document.getElementById('repairPlaceholdersBtn'),
         copyToClipboardBtn: document.getElementById('copyToClipboardBtn'),
         replaceBodyBtn: document.getElementById('replaceBodyBtn'),
+        replaceBodyLabel: document.getElementById('replaceBodyLabel'),
+        conversationSteps: document.getElementById('conversationSteps'),
+        followUpInput: document.getElementById('followUpInput'),
+        followUpBtn: document.getElementById('followUpBtn'),
         settingsBtn: document.getElementById('settingsBtn'),
         errorMessage: document.getElementById('errorMessage'),
         providerIndicator: document.getElementById('providerIndicator')
@@ -47,9 +76,11 @@ function initializeApp() {
 
     // Initialize default prompts
     promptManager.initDefaults();
+    signatureRules = getSignatureRules();
 
     // Load saved prompts into dropdown
     loadSavedPrompts();
+    loadStyleProfiles();
 
     // Update provider indicator
     updateProviderIndicator();
@@ -59,7 +90,22 @@ function initializeApp() {
 
     // Start auto-capture
     captureEmailBody();
-    startAutoRefresh();
+    startCaptureTriggers();
+
+    // A pinned taskpane stays open when another item is selected
+    Office.context.mailbox.addHandlerAsync?.(Office.EventType.ItemChanged, onItemChanged);
+}
+
+/**
+ * Reset the pane for the newly selected item
+ * The conversation and the detected signature belong to the previous one.
+ */
+function onItemChanged() {
+    hideResults();
+    signatureTextCache = null;
+    lastCaptureHash = null;
+    watchAttachments();
+    captureEmailBody();
 }
 
 /**
@@ -67,11 +113,26 @@ function initializeApp() {
  */
 function setupEventListeners() {
     elements.savedPrompts.addEventListener('change', onSavedPromptChange);
-    elements.instruction.addEventListener('input', updateProcessButtonState);
+    elements.styleProfile.addEventListener('change', () => styleProfiles.setActive(elements.styleProfile.value));
+    elements.instruction.addEventListener('input', () => {
+        updateProcessButtonState();
+        updateProviderIndicator();
+    });
     elements.processBtn.addEventListener('click', handleProcess);
+    elements.cancelBtn.addEventListener('click', handleCancel);
     elements.insertSubjectBtn.addEventListener('click', handleInsertSubject);
     elements.replaceBodyBtn.addEventListener('click', handleReplaceBody);
+    elements.repairPlaceholdersBtn.addEventListener('click', handleRepairPlaceholders);
     elements.copyToClipboardBtn.addEventListener('click', handleCopyToClipboard);
+    elements.variantTabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.variant-tab');
+        if (tab) selectVariant(Number(tab.dataset.index));
+    });
+    elements.followUpInput.addEventListener('input', updateProcessButtonState);
+    elements.followUpInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !elements.followUpBtn.disabled) handleFollowUp();
+    });
+    elements.followUpBtn.addEventListener('click', handleFollowUp);
     elements.settingsBtn.addEventListener('click', openSettings);
 
     // Toggle context preview
@@ -79,31 +140,105 @@ function setupEventListeners() {
 
     // Refresh status when thread toggle changes
     elements.includeThreadToggle.addEventListener('change', () => {
+        captureEmailBody({ force: true });
+    });
+    elements.editTablesToggle.addEventListener('change', () => {
+        captureEmailBody({ force: true });
+    });
+    elements.selectionModeToggle.addEventListener('change', () => {
+        elements.selectionContextContainer.style.display = elements.selectionModeToggle.checked ? '' : 'none';
+        captureEmailBody();
+    });
+    elements.selectionContextToggle.addEventListener('change', () => {
         captureEmailBody();
     });
 }
 
 /**
- * Start auto-refresh interval
+ * Delay before a triggered capture runs, so bursts of triggers read the body once
  */
-function startAutoRefresh() {
-    // Refresh every 1 second
-    refreshInterval = setInterval(() => {
-        captureEmailBody();
-    }, 1000);
+const CAPTURE_DEBOUNCE_MS = 300;
+
+/**
+ * Interval of the background check while the pane is visible
+ * Outlook has no body-changed event; the check is cheap when the HTML hasn't changed.
+ */
+const CAPTURE_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Capture the body when the user may have edited it
+ * Typing happens in the compose window, so the pane captures when the user comes back to it, when the
+ * attachments change, and on a slow background check while visible.
+ */
+function startCaptureTriggers() {
+    window.addEventListener('focus', scheduleCapture);
+    document.documentElement.addEventListener('mouseenter', scheduleCapture);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') scheduleCapture();
+    });
+
+    watchAttachments();
+
+    setInterval(() => {
+        if (document.visibilityState === 'visible') scheduleCapture();
+    }, CAPTURE_CHECK_INTERVAL_MS);
 }
 
 /**
- * Capture the email body, separating current message from thread content
- * Uses HTML parsing to reliably identify boundaries
+ * Capture when the current item's attachments change, since inline images are attachments
+ * Handlers belong to the item, so this runs again for each selected item.
  */
-function captureEmailBody() {
-    // Get HTML version for proper parsing
-    Office.context.mailbox.item.body.getAsync(
+function watchAttachments() {
+    Office.context.mailbox.item?.addHandlerAsync?.(Office.EventType.AttachmentsChanged, scheduleCapture);
+}
+
+/**
+ * Capture the body after a short delay, restarting the delay on each call
+ */
+function scheduleCapture() {
+    clearTimeout(captureTimer);
+    captureTimer = setTimeout(() => captureEmailBody(), CAPTURE_DEBOUNCE_MS);
+}
+
+/**
+ * Hash a string (FNV-1a), to tell whether the body changed since the last capture
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${text.length}:${hash >>> 0}`;
+}
+
+/**
+ * Capture the email body, separating current message from thread content, and the selection in selection mode
+ * Uses HTML parsing to reliably identify boundaries. The body is only parsed again when its HTML changed.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Parse even if the HTML is unchanged, e.g. after a toggle changed what is captured
+ * @returns {Promise<void>} - Resolves once the capture is done, also when it failed
+ */
+function captureEmailBody({ force = false } = {}) {
+    clearTimeout(captureTimer);
+    captureTimer = null;
+
+    const item = Office.context.mailbox.item;
+    if (!item) return Promise.resolve();
+
+    const bodyCaptured = new Promise(resolve => item.body.getAsync(
         Office.CoercionType.Html,
         (htmlResult) => {
             if (htmlResult.status === Office.AsyncResultStatus.Succeeded) {
                 const fullHtml = htmlResult.value;
+                const hash = hashString(fullHtml);
+                if (!force && hash === lastCaptureHash) {
+                    resolve();
+                    return;
+                }
+                lastCaptureHash = hash;
                 currentEmailBodyHtml = fullHtml;
 
                 // Reset preserved objects for this capture
@@ -116,129 +251,121 @@ function captureEmailBody() {
                 // Extract signature from HTML structure (not from template comparison)
                 // This works regardless of whether user typed before or after opening the app
                 if (signatureTextCache === null) {
-                    signatureTextCache = extractSignatureFromHtml(fullHtml);
+                    signatureTextCache = extractSignature(fullHtml, signatureRules);
                 }
 
                 // Current body is the message content with signature stripped
-                currentEmailBody = stripSignature(parsed.currentMessage, signatureTextCache);
+                currentEmailBody = stripSignature(parsed.currentMessage, signatureTextCache, signatureRules);
 
-                // Thread content is cleaned previous emails (when toggle is on)
+                // Thread content is the previous emails, one by one with their headers (when toggle is on)
                 if (elements.includeThreadToggle.checked) {
-                    currentThreadContent = cleanThreadContent(parsed.threadContent);
+                    currentThreadMessages = parseThread(parsed.threadContent)
+                        .map(message => ({ ...message, body: stripSignature(message.body, '', signatureRules, { contactDetails: false }) }))
+                        .filter(message => message.body);
+                    currentThreadContent = currentThreadMessages.map(formatThreadMessage).join(THREAD_MESSAGE_SEPARATOR);
                 } else {
+                    currentThreadMessages = [];
                     currentThreadContent = '';
                 }
-
-                updateStatusIndicator(currentEmailBody.length > 0);
-                updateProcessButtonState();
             }
+            resolve();
         }
-    );
+    ));
+
+    return bodyCaptured.then(captureSelection).then(() => {
+        updateStatusIndicator(currentEmailBody.length > 0);
+        updateProcessButtonState();
+    });
 }
 
 /**
- * Detect tables and images in an element and replace them with placeholders
- * Excludes images that are inside signature elements or appear after signature phrases
- * @param {HTMLElement} element - Element to process
- * @param {Map} objectsMap - Map to store preserved HTML
+ * Read the user's selection in selection mode
+ * The selection can change while the body doesn't, so it is read on every capture; parsing is skipped
+ * when its HTML is unchanged.
+ * @returns {Promise<void>}
  */
-function detectAndReplaceObjects(element, objectsMap) {
-    // Signature selectors to exclude images from
-    const signatureSelectors = [
-        '#Signature',
-        '.Signature',
-        '#ms-outlook-mobile-signature',
-        '[data-signature]',
-        'div[id*="signature" i]',
-        'div[class*="signature" i]'
-    ];
-
-    // Signature phrases that indicate start of signature zone
-    const signaturePhrases = [
-        /^Best regards/i,
-        /^Kind regards/i,
-        /^Regards,/i,
-        /^Sincerely/i,
-        /^Thanks,/i,
-        /^Thank you,/i,
-        /^Cheers,/i,
-        /^Cordialement/i,
-        /^Cdlt,/i,
-        /^Mit freundlichen Grüßen/i,
-        /^MfG,/i,
-        /^--\s*$/,
-    ];
+function captureSelection() {
+    const item = Office.context.mailbox.item;
+    if (!elements.selectionModeToggle.checked || !item?.getSelectedDataAsync) {
+        currentSelection = null;
+        return Promise.resolve();
+    }
 
-    /**
-     * Check if an element is inside a signature container (by HTML structure)
-     */
-    function isInsideSignatureContainer(el) {
-        let parent = el.parentElement;
-        while (parent && parent !== element) {
-            for (const selector of signatureSelectors) {
-                try {
-                    if (parent.matches(selector)) {
-                        return true;
-                    }
-                } catch (e) {
-                    // Invalid selector, skip
-                }
+    return new Promise(resolve => item.getSelectedDataAsync(
+        Office.CoercionType.Html,
+        (result) => {
+            const html = getSelectedBodyHtml(result);
+            if (currentSelection?.hash !== hashString(html)) {
+                currentSelection = parseSelection(html);
             }
-            parent = parent.parentElement;
+            resolve();
         }
-        return false;
+    ));
+}
+
+/**
+ * HTML of a getSelectedDataAsync result, when the selection is in the body
+ * @param {Office.AsyncResult} result
+ * @returns {string} - Empty when nothing, or the subject, is selected
+ */
+function getSelectedBodyHtml(result) {
+    if (result.status !== Office.AsyncResultStatus.Succeeded || result.value.sourceProperty !== 'body') {
+        return '';
     }
+    return result.value.data || '';
+}
 
-    /**
-     * Check if an element appears after a signature phrase in the document
-     * This catches signature images that aren't inside explicit signature containers
-     */
-    function isAfterSignaturePhrase(el) {
-        // Create a TreeWalker to traverse text nodes before this element
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+/**
+ * Elements that put their content on lines of its own, apart from tables
+ */
+const BLOCK_SELECTOR = 'p, div, li, ul, ol, h1, h2, h3, h4, h5, h6, blockquote, pre';
 
-        // Get all text nodes before the element
-        const textContents = [];
-        let node;
-        while ((node = walker.nextNode())) {
-            // Check if this text node comes before our element
-            const position = el.compareDocumentPosition(node);
-            if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-                // This text node is before our element
-                textContents.push((node.textContent || '').trim());
-            }
-        }
+/**
+ * Parse selected HTML into text with placeholders for its tables, images and links
+ * @param {string} html
+ * @returns {{hash: string, text: string, preservedObjects: Map, spansBlocks: boolean}|null} - null when no text is selected;
+ *   spansBlocks when the selection covers more than one paragraph, list item or a table
+ */
+function parseSelection(html) {
+    const temp = document.createElement('div');
+    temp.innerHTML = html;
 
-        // Check if any signature phrase appears in the preceding text
-        const precedingText = textContents.join('\n');
-        for (const phrase of signaturePhrases) {
-            if (phrase.test(precedingText)) {
-                return true;
-            }
-        }
+    const textBlocks = Array.from(temp.querySelectorAll(BLOCK_SELECTOR))
+        .filter(block => !block.querySelector(BLOCK_SELECTOR) && block.textContent.trim());
+    const spansBlocks = textBlocks.length > 1 || temp.querySelector('table') !== null;
 
-        return false;
-    }
+    const preservedObjects = new Map();
+    detectAndReplaceObjects(temp, preservedObjects);
+    const text = getTextWithLineBreaks(temp);
 
+    return text ? { hash: hashString(html), text, preservedObjects, spansBlocks } : null;
+}
+
+/**
+ * Detect tables, images and links in an element and replace them with placeholders
+ * Links become [[LINK_n]]text[[/LINK_n]] so the model can reword the text while the href is kept.
+ * Excludes objects that are inside signature elements or appear after signature phrases
+ * @param {HTMLElement} element - Element to process
+ * @param {Map} objectsMap - Map to store preserved HTML
+ */
+function detectAndReplaceObjects(element, objectsMap) {
     /**
-     * Check if an element is in the signature zone (either by container or by position)
+     * Check if an element is in the signature zone: inside a signature container, or after a line
+     * that starts the signature (this catches signature images outside explicit containers)
      */
     function isInSignatureZone(el) {
-        // First check explicit signature containers
-        if (isInsideSignatureContainer(el)) {
+        if (isInSignatureContainer(el, element)) {
             return true;
         }
 
-        // Then check if it appears after signature phrases
-        if (isAfterSignaturePhrase(el)) {
-            return true;
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!(el.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING)) break;
+            if (isSignatureStart(node.textContent || '', signatureRules)) {
+                return true;
+            }
         }
-
         return false;
     }
 
@@ -265,13 +392,115 @@ function detectAndReplaceObjects(element, objectsMap) {
         const placeholder = document.createTextNode(id);
         img.parentNode.replaceChild(placeholder, img);
     });
+
+    // Links outside tables, found after the objects above are replaced so a linked image keeps its placeholder
+    const contentLinks = Array.from(element.querySelectorAll('a[href]')).filter(link => !isInSignatureZone(link));
+
+    contentLinks.forEach((link) => {
+        const id = `[[LINK_${objectsMap.size + 1}]]`;
+        objectsMap.set(id, link.outerHTML);
+        const placeholder = document.createTextNode(`${id}${link.textContent}[[/LINK_${objectsMap.size}]]`);
+        link.parentNode.replaceChild(placeholder, link);
+    });
+}
+
+/**
+ * Image types the vision APIs accept
+ */
+const VISION_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Limits on the images sent with a request; larger or further images are left as placeholders only
+ */
+const MAX_VISION_IMAGES = 5;
+const MAX_VISION_IMAGE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Load the image data of preserved images for vision-capable providers
+ * Data URIs are decoded directly; cid: images are read from the item's inline attachments, matched
+ * by content id or file name. Images that can't be read are skipped and stay placeholders only.
+ * @param {Map} objectsMap - Map of placeholder -> original HTML
+ * @param {string} context - The text being sent; images whose placeholder isn't in it are skipped
+ * @returns {Promise<Array<{placeholder: string, mimeType: string, data: string}>>} - data is base64
+ */
+async function resolveImages(objectsMap, context) {
+    const sources = [];
+    for (const [placeholder, html] of objectsMap) {
+        if (!placeholder.startsWith('[[IMAGE_') || !context.includes(placeholder)) continue;
+
+        const img = new DOMParser().parseFromString(html, 'text/html').querySelector('img');
+        // Outlook keeps the cid: reference in originalsrc when src points at a rendered copy
+        const src = img?.getAttribute('originalsrc') || img?.getAttribute('src') || '';
+        if (src) sources.push({ placeholder, src });
+    }
+    if (sources.length === 0) return [];
+
+    const attachments = sources.some(({ src }) => /^cid:/i.test(src)) ? await getInlineAttachments() : [];
+
+    const images = [];
+    for (const { placeholder, src } of sources) {
+        if (images.length >= MAX_VISION_IMAGES) break;
+
+        let image = null;
+        const dataUri = src.match(/^data:([^;,]+);base64,(.*)$/is);
+        if (dataUri) {
+            image = { mimeType: dataUri[1].toLowerCase(), data: dataUri[2].replace(/\s+/g, '') };
+        } else if (/^cid:/i.test(src)) {
+            image = await readInlineAttachment(attachments, src.slice(4));
+        }
+
+        // base64 is 4 characters per 3 bytes
+        if (image && VISION_IMAGE_TYPES.includes(image.mimeType) && image.data.length * 3 / 4 <= MAX_VISION_IMAGE_BYTES) {
+            images.push({ placeholder, ...image });
+        }
+    }
+    return images;
+}
+
+/**
+ * Inline attachments of the compose item (Mailbox 1.8)
+ * @returns {Promise<Array>} - Empty where the API isn't available
+ */
+function getInlineAttachments() {
+    const item = Office.context.mailbox.item;
+    if (!item.getAttachmentsAsync) return Promise.resolve([]);
+
+    return new Promise(resolve => {
+        item.getAttachmentsAsync((result) => {
+            resolve(result.status === Office.AsyncResultStatus.Succeeded
+                ? result.value.filter(attachment => attachment.isInline)
+                : []);
+        });
+    });
+}
+
+/**
+ * Read the inline attachment a cid: reference points at
+ * @param {Array} attachments - From getInlineAttachments
+ * @param {string} contentId - The part after "cid:"
+ * @returns {Promise<{mimeType: string, data: string}|null>}
+ */
+function readInlineAttachment(attachments, contentId) {
+    const item = Office.context.mailbox.item;
+    // Content ids are commonly "<file name>@<unique part>"; the API exposes the name but not the id
+    const name = decodeURIComponent(contentId).split('@')[0].toLowerCase();
+    const attachment = attachments.find(a => a.contentId === contentId || a.name.toLowerCase() === name);
+    if (!attachment || !item.getAttachmentContentAsync) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        item.getAttachmentContentAsync(attachment.id, (result) => {
+            const succeeded = result.status === Office.AsyncResultStatus.Succeeded &&
+                result.value.format === Office.MailboxEnums.AttachmentContentFormat.Base64;
+            resolve(succeeded ? { mimeType: attachment.contentType.toLowerCase(), data: result.value.content } : null);
+        });
+    });
 }
 
 /**
  * Parse email HTML to separate current message from thread content
  * @param {string} html - Full email HTML
  * @param {Map} objectsMap - Map to store structural objects (tables/images)
- * @returns {{currentMessage: string, threadContent: string}}
+ * @returns {{currentMessage: string, threadContent: string}} - Both keep their line breaks
  */
 function parseEmailHtml(html, objectsMap) {
     const temp = document.createElement('div');
@@ -345,15 +574,15 @@ function parseEmailHtml(html, objectsMap) {
             detectAndReplaceObjects(beforeThread, objectsMap);
         }
 
-        currentMessage = beforeThread.textContent || beforeThread.innerText || '';
-        threadContent = fullThread.textContent || fullThread.innerText || '';
+        currentMessage = getTextWithLineBreaks(beforeThread);
+        threadContent = getTextWithLineBreaks(fullThread);
     } else {
         // No thread marker found - entire content is current message
         // Detect and replace tables/images with placeholders before extracting text
         if (objectsMap) {
             detectAndReplaceObjects(temp, objectsMap);
         }
-        currentMessage = temp.textContent || temp.innerText || '';
+        currentMessage = getTextWithLineBreaks(temp);
         threadContent = '';
     }
 
@@ -364,253 +593,72 @@ function parseEmailHtml(html, objectsMap) {
 }
 
 /**
- * Extract signature text from HTML using structural markers
- * This detects the signature regardless of user-written content above it
- * @param {string} html - Full email HTML
- * @returns {string} - Detected signature text (or empty string)
+ * Model a request will use, for context budgeting
+ * The relay and mock settings name no model; their model is known once they have answered.
+ * @param {Object} [overrides] - Saved prompt overrides
+ * @returns {string|undefined}
  */
-function extractSignatureFromHtml(html) {
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-
-    // === Strategy 1: Look for explicit signature markers in HTML ===
-    const signatureMarkers = [
-        '#Signature',               // Outlook signature ID
-        '.Signature',               // Outlook signature class
-        '#ms-outlook-mobile-signature',
-        '[data-signature]',
-        'div[id*="signature" i]',   // Any div with signature in its ID
-        'div[class*="signature" i]', // Any div with signature in its class
-    ];
-
-    for (const selector of signatureMarkers) {
-        try {
-            const sigEl = temp.querySelector(selector);
-            if (sigEl) {
-                return (sigEl.textContent || '').trim();
-            }
-        } catch (e) {
-            // Invalid selector, skip
-        }
-    }
-
-    // === Strategy 2: Phrase-based detection from the END of the document ===
-    // Walk backwards through elements to find signature-starting phrases
-    const signaturePhrases = [
-        /^Best regards/i,
-        /^Kind regards/i,
-        /^Regards/i,
-        /^Sincerely/i,
-        /^Thanks/i,
-        /^Thank you/i,
-        /^Cheers/i,
-        /^Cordialement/i,
-        /^Cdlt/i,
-        /^Mit freundlichen Grüßen/i,
-        /^MfG/i,
-        /^--\s*$/,
-    ];
-
-    // Get all text-containing elements
-    const allElements = Array.from(temp.querySelectorAll('div, p, span, font'));
-
-    for (let i = 0; i < allElements.length; i++) {
-        const el = allElements[i];
-        const text = (el.textContent || '').trim();
-
-        for (const phrase of signaturePhrases) {
-            if (phrase.test(text)) {
-                // Found the start of signature - collect this element and everything after
-                let signatureText = '';
-                for (let j = i; j < allElements.length; j++) {
-                    // Only add if it's not a child of a previous element we already added
-                    const elText = (allElements[j].textContent || '').trim();
-                    if (elText && !signatureText.includes(elText)) {
-                        signatureText += elText + '\n';
-                    }
-                }
-                return signatureText.trim();
-            }
-        }
-    }
-
-    // === Strategy 3: Contact info pattern at the end ===
-    // Look for phone/email/url patterns near the end
-    const bodyText = temp.textContent || '';
-    const lines = bodyText.split('\n').filter(l => l.trim());
-
-    if (lines.length > 3) {
-        for (let i = lines.length - 1; i >= Math.max(0, lines.length - 10); i--) {
-            const line = lines[i].trim();
-            const hasPhone = /\+?[\d\s\-\(\).]{8,20}/.test(line);
-            const hasEmail = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(line);
-            const hasUrl = /www\.|http/i.test(line);
-
-            if (hasPhone || hasEmail || hasUrl) {
-                // Found contact info, signature likely starts a few lines before
-                const sigStart = Math.max(0, i - 5);
-                return lines.slice(sigStart).join('\n').trim();
-            }
-        }
-    }
-
-    // No signature detected
-    return '';
+function getBudgetModel(overrides) {
+    const { providerId, config = {} } = resolveProvider(overrides);
+    return config.model || config.deployment || reportedModels.get(providerId);
 }
 
 /**
- * Strip signature from message text
- * @param {string} text - Message text
- * @param {string} signatureText - Detected signature text (optional)
- * @returns {string} - Text with signature removed
- */
-function stripSignature(text, signatureText) {
-    let result = text.trim();
-
-    // Strategy 1: Remove detected signature
-    // If we have a cached signature, find and remove it from the text
-    if (signatureText && signatureText.length > 5) {
-        // Normalize whitespace for comparison
-        const normalizedResult = result.replace(/\s+/g, ' ').trim();
-        const normalizedSig = signatureText.replace(/\s+/g, ' ').trim();
-
-        // Check if the message ends with the signature
-        if (normalizedResult.endsWith(normalizedSig)) {
-            // Find where signature starts in original text
-            // We need to be careful with whitespace differences
-            const sigFirstLine = signatureText.split('\n')[0].trim();
-            const sigIndex = result.lastIndexOf(sigFirstLine);
-            if (sigIndex > 0) {
-                return result.substring(0, sigIndex).trim();
-            }
-        }
-
-        // Also try direct endsWith check
-        if (result.endsWith(signatureText)) {
-            return result.substring(0, result.length - signatureText.length).trim();
-        }
-    }
-
-    // Strategy 2: Phrase-based signature detection
-    const signaturePatterns = [
-        /\n--\s*\n[\s\S]*/,
-        /\nBest regards,[\s\S]*/i,
-        /\nKind regards,[\s\S]*/i,
-        /\nRegards,[\s\S]*/i,
-        /\nSincerely,[\s\S]*/i,
-        /\nThanks,[\s\S]*/i,
-        /\nThank you,[\s\S]*/i,
-        /\nCheers,[\s\S]*/i,
-        /\nCordialement,[\s\S]*/i,
-        /\nCdlt,[\s\S]*/i,
-        /\nMit freundlichen Grüßen,[\s\S]*/i,
-        /\nMfG,[\s\S]*/i,
-        /\nSent from my iPhone[\s\S]*/i,
-        /\nSent from my Android[\s\S]*/i,
-        /\nGet Outlook for[\s\S]*/i,
-        /\nEnvoyé de mon[\s\S]*/i,
-        /\nVerzonden vanaf[\s\S]*/i,
-    ];
-
-    for (const pattern of signaturePatterns) {
-        if (pattern.test(result)) {
-            result = result.replace(pattern, '');
-            // Optimization: if we hit a standard phrase, we likely found it
-            return result.trim();
-        }
-    }
+ * Fit the captured thread into the context window of the model the request will use
+ * @param {string} instruction
+ * @returns {Object} - Result of budgetContext
+ */
+function getContextBudget(instruction) {
+    return budgetContext({
+        body: getEmailContent(),
+        instruction,
+        threadMessages: currentThreadMessages.map(formatThreadMessage),
+        model: getBudgetModel(getSelectedPrompt(instruction)?.overrides)
+    });
+}
 
-    // Strategy 3: Structural fallback (looking for contact blocks)
-    // If we see phone numbers, websites, or multiple short lines with links near the end
-    const lines = result.split('\n');
-    if (lines.length > 3) {
-        // Work backwards from the end
-        for (let i = lines.length - 1; i >= Math.max(0, lines.length - 8); i--) {
-            const line = lines[i].trim();
-            // Patterns for common signature elements: phone, email, url
-            const hasPhone = /\+?[\d\s\-\(\).]{8,20}/.test(line);
-            const hasEmail = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(line);
-            const hasUrl = /www\.|http/i.test(line);
-
-            if (hasPhone || hasEmail || hasUrl) {
-                // If we found contact info, consider this and everything below as signature
-                // (assuming it's near the very end)
-                if (i > lines.length - 10) {
-                    return lines.slice(0, i).join('\n').trim();
-                }
-            }
-        }
+/**
+ * Email content sent to the model: the selection in selection mode, else the current message
+ * With editable tables on, each table placeholder is expanded into a grid of its cell texts. The rest of
+ * the draft can follow a selection as context; its objects aren't restored, so it has no placeholders.
+ * @returns {string}
+ */
+function getEmailContent() {
+    const [text, objects] = currentSelection
+        ? [currentSelection.text, currentSelection.preservedObjects]
+        : [currentEmailBody, currentPreservedObjects];
+    const content = elements.editTablesToggle.checked ? expandTableGrids(text, objects) : text;
+
+    if (currentSelection && elements.selectionContextToggle.checked) {
+        return `${content}\n\n--- Full Draft (context only: rewrite just the selected text above) ---\n\n${removePlaceholders(currentEmailBody)}`;
     }
-
-    return result;
+    return content;
 }
 
 /**
- * Clean thread content by removing email headers and metadata
- * Keeps only the actual message body text
- * @param {string} text - Raw thread text
- * @returns {string} - Cleaned thread content
+ * Describe how much thread context was dropped to fit the model, for the status indicator
+ * @param {Object} budget - Result of budgetContext
+ * @returns {string} - Empty when nothing was dropped
  */
-function cleanThreadContent(text) {
-    if (!text) return '';
-
-    let result = text;
-
-    // 1. Range-based removal (User requested: remove content BETWEEN markers)
-    // We use [\s\S]*? to lazily match characters including newlines
-    const rangePatterns = [
-        // From: [any] Sent:
-        { pattern: /From:[\s\S]*?(?=Sent:)/gi, replacement: "From:\n" },
-        // Sent: [any] To:
-        { pattern: /Sent:[\s\S]*?(?=To:)/gi, replacement: "Sent:\n" },
-        // To: [any] Subject:
-        { pattern: /To:[\s\S]*?(?=Subject:)/gi, replacement: "To:\n" },
-
-        // French variants
-        { pattern: /De\s*:[\s\S]*?(?=Envoyé)/gi, replacement: "De:\n" },
-        { pattern: /Envoyé\s*:[\s\S]*?(?=À)/gi, replacement: "Envoyé:\n" },
-        { pattern: /À\s*:[\s\S]*?(?=Objet)/gi, replacement: "À:\n" },
-
-        // German variants
-        { pattern: /Von:[\s\S]*?(?=Gesendet)/gi, replacement: "Von:\n" },
-        { pattern: /Gesendet:[\s\S]*?(?=An)/gi, replacement: "Gesendet:\n" },
-        { pattern: /An:[\s\S]*?(?=Betreff)/gi, replacement: "An:\n" }
-    ];
-
-    for (const { pattern, replacement } of rangePatterns) {
-        result = result.replace(pattern, replacement);
+function describeContextBudget(budget) {
+    if (budget.contextLimit === null) {
+        return budget.threadMessages.length > 0 ? 'model unknown, thread not trimmed' : '';
     }
-
-    // 2. Remove other individual email header lines
-    const headerPatterns = [
-        /^Cc:.*$/gm,
-        /^Bcc:.*$/gm,
-        /^Date:.*$/gm,
-        /^Importance:.*$/gm,
-        // Email addresses in angle brackets (global cleanup)
-        /<[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}>/g,
-        // "On [date], [person] wrote:" lines
-        /^On\s+.*\s+wrote:\s*$/gim,
-        /^Le\s+.*\s+a écrit\s*:\s*$/gim,
-        /^Am\s+.*\s+schrieb\s*:\s*$/gim,
-        // Separator lines
-        /^[-_]{3,}.*$/gm,
-        /^Original Message.*$/gim,
-        /^Message d'origine.*$/gim,
-        /^Forwarded message.*$/gim,
-    ];
-
-    for (const pattern of headerPatterns) {
-        result = result.replace(pattern, '');
+    if (budget.overBudget) {
+        return 'draft alone exceeds the model context';
+    }
+    if (budget.droppedMessages === 0 && !budget.truncated) {
+        return '';
     }
 
-    // 3. Clean up multiple blank lines
-    result = result.replace(/\n{3,}/g, '\n\n');
-
-    // 4. Also strip signatures from thread content
-    result = stripSignature(result);
-
-    return result.trim();
+    const parts = [];
+    if (budget.droppedMessages > 0) {
+        parts.push(`${budget.droppedMessages} oldest message${budget.droppedMessages === 1 ? '' : 's'} dropped`);
+    }
+    if (budget.truncated) {
+        parts.push('1 shortened');
+    }
+    return `${parts.join(', ')} (~${budget.droppedTokens.toLocaleString()} tokens) to fit context`;
 }
 
 /**
@@ -620,6 +668,11 @@ function cleanThreadContent(text) {
 function updateStatusIndicator(hasContent) {
     const dot = elements.statusIndicator.querySelector('.status-dot');
 
+    if (requestStatus) {
+        elements.statusText.textContent = requestStatus;
+        return;
+    }
+
     if (hasContent) {
         dot.classList.add('active');
 
@@ -628,18 +681,34 @@ function updateStatusIndicator(hasContent) {
         const threadChars = elements.includeThreadToggle.checked ? currentThreadContent.length : 0;
         const totalChars = bodyChars + threadChars;
 
+        // Say whether the selection or the full draft will be sent
+        const draftMsg = threadChars > 0
+            ? `full draft (${bodyChars} + ${threadChars} thread = ${totalChars} chars)`
+            : `full draft (${bodyChars} chars)`;
+
         let statusMsg = '';
-        if (threadChars > 0) {
-            statusMsg = `Monitoring (${bodyChars} + ${threadChars} thread = ${totalChars} chars)`;
+        if (currentSelection) {
+            const contextNote = elements.selectionContextToggle.checked ? ' + full draft as context' : '';
+            statusMsg = `Using selection (${currentSelection.text.length} chars${contextNote})`;
+        } else if (elements.selectionModeToggle.checked) {
+            statusMsg = `No text selected - using ${draftMsg}`;
         } else {
-            statusMsg = `Monitoring email (${bodyChars} chars)`;
+            statusMsg = `Using ${draftMsg}`;
+        }
+
+        const budgetNote = describeContextBudget(getContextBudget(elements.instruction.value.trim()));
+        if (budgetNote) {
+            statusMsg += ` - ${budgetNote}`;
         }
         elements.statusText.textContent = statusMsg;
 
         // Update preview content
-        let previewText = currentEmailBody;
+        let previewText = getEmailContent();
         if (elements.includeThreadToggle.checked && currentThreadContent) {
-            previewText += '\n\n--- PREVIOUS THREAD ---\n\n' + currentThreadContent;
+            previewText += `\n\n--- PREVIOUS THREAD (${currentThreadMessages.length} messages, newest first) ---\n\n` + currentThreadContent;
+        }
+        if (signatureTextCache) {
+            previewText += '\n\n--- SIGNATURE (not sent) ---\n\n' + signatureTextCache;
         }
         elements.contextPreviewContent.textContent = previewText || '(No content captured yet)';
 
@@ -650,6 +719,16 @@ function updateStatusIndicator(hasContent) {
     }
 }
 
+/**
+ * Show a transient request status (e.g. retry countdown) in the status indicator
+ * Pass null to go back to the regular monitoring message
+ * @param {string|null} message
+ */
+function setRequestStatus(message) {
+    requestStatus = message;
+    updateStatusIndicator(currentEmailBody.length > 0);
+}
+
 /**
  * Toggle context preview visibility
  */
@@ -678,6 +757,23 @@ function loadSavedPrompts() {
     });
 }
 
+/**
+ * Load style profiles into the dropdown and select the active one
+ */
+function loadStyleProfiles() {
+    const active = styleProfiles.getActive();
+
+    elements.styleProfile.innerHTML = '';
+    styleProfiles.getAll().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        elements.styleProfile.appendChild(option);
+    });
+
+    elements.styleProfile.value = active.id;
+}
+
 /**
  * Handle saved prompt selection
  */
@@ -691,6 +787,20 @@ function onSavedPromptChange() {
             updateProcessButtonState();
         }
     }
+
+    // The prompt may pin its own provider or model
+    updateProviderIndicator();
+}
+
+/**
+ * The selected saved prompt, if the instruction hasn't been edited since selecting it
+ * Its name is recorded in the usage ledger and its overrides apply to the request.
+ * @param {string} instruction
+ * @returns {Object|null}
+ */
+function getSelectedPrompt(instruction) {
+    const prompt = elements.savedPrompts.value ? promptManager.getById(elements.savedPrompts.value) : null;
+    return prompt && prompt.instruction === instruction ? prompt : null;
 }
 
 /**
@@ -699,57 +809,252 @@ function onSavedPromptChange() {
 function updateProcessButtonState() {
     const hasBody = currentEmailBody.trim().length > 0;
     const hasInstruction = elements.instruction.value.trim().length > 0;
-    elements.processBtn.disabled = !(hasBody && hasInstruction);
+    elements.processBtn.disabled = !(hasBody && hasInstruction) || activeRequest !== null;
+
+    const hasFollowUp = elements.followUpInput.value.trim().length > 0;
+    elements.followUpBtn.disabled = !(currentConversation && hasFollowUp) || activeRequest !== null;
 }
 
 /**
  * Handle the process button click
+ * Starts a new conversation from the current draft
  */
 async function handleProcess() {
-    hideError();
-    setLoading(true);
+    const instruction = elements.instruction.value.trim();
+
+    await requestDrafts(instruction, async () => {
+        // The latest edits may not have been captured yet
+        await captureEmailBody();
+
+        // Build context, dropping the oldest thread messages if they don't fit the model
+        let context = getEmailContent();
+        if (elements.includeThreadToggle.checked && currentThreadMessages.length > 0) {
+            const budget = getContextBudget(instruction);
+            if (budget.threadMessages.length > 0) {
+                context += '\n\n--- Previous Thread (newest first) ---\n\n' + budget.threadMessages.join(THREAD_MESSAGE_SEPARATOR);
+            }
+        }
 
-    try {
-        const instruction = elements.instruction.value.trim();
+        const selectedPrompt = getSelectedPrompt(instruction);
+        const preservedObjects = new Map(currentSelection?.preservedObjects ?? currentPreservedObjects);
+        return {
+            context,
+            history: [],
+            images: await resolveImages(preservedObjects, context),
+            preservedObjects,
+            promptName: selectedPrompt?.name || '',
+            overrides: selectedPrompt?.overrides,
+            selection: currentSelection
+        };
+    });
+}
 
-        // Build context
-        let context = currentEmailBody;
-        if (elements.includeThreadToggle.checked && currentThreadContent) {
-            context += '\n\n--- Previous Thread ---\n' + currentThreadContent;
-        }
+/**
+ * Refine the selected draft with the follow-up instruction
+ * The provider gets the whole conversation, ending with the selected draft as its last reply
+ */
+async function handleFollowUp() {
+    const instruction = elements.followUpInput.value.trim();
+    if (!instruction || !currentConversation || !currentResult.response) return;
+
+    const { turns, ...settings } = currentConversation;
+    const history = [
+        ...turns.slice(0, -1),
+        { ...turns[turns.length - 1], response: currentResult.response }
+    ];
 
-        // Call LLM with structured output request
-        const result = await processText(context, instruction);
-
-        // Parse the result (expecting JSON with subject and body)
-        try {
-            currentResult = JSON.parse(result);
-        } catch (e) {
-            // If not JSON, treat entire result as body
-            currentResult = {
-                subject: '',
-                body: result
-            };
+    if (await requestDrafts(instruction, async () => {
+        // Long refinements drop their oldest steps to fit the model; the conversation itself keeps them all
+        const budget = budgetHistory({ history, instruction, model: getBudgetModel(settings.overrides) });
+        if (budget.droppedTurns > 0) {
+            setRequestStatus(`${budget.droppedTurns} oldest step${budget.droppedTurns === 1 ? '' : 's'} left out (~${budget.droppedTokens.toLocaleString()} tokens) to fit context...`);
         }
+        return { ...settings, context: '', history, requestHistory: budget.history };
+    })) {
+        elements.followUpInput.value = '';
+        updateProcessButtonState();
+    }
+}
+
+/**
+ * Send a request and show the drafts it returns
+ * On success the turn is added to the conversation; a failed request leaves it unchanged.
+ * The request is prepared while the pane is already busy, so it can't be started twice and a failure
+ * while preparing is reported like a failed request.
+ * @param {string} instruction
+ * @param {function(): Promise<Object>} prepare - Resolves to {context, history, requestHistory, images, preservedObjects,
+ *   promptName, overrides, selection}; context is the email content, empty for a follow-up; requestHistory is the
+ *   part of history sent when it had to be shortened; images are those of the context, for vision-capable
+ *   providers; selection is the parsed selection the drafts replace, if any
+ * @returns {Promise<boolean>} - Whether drafts were received
+ */
+async function requestDrafts(instruction, prepare) {
+    hideError();
+    activeRequest = new AbortController();
+    setLoading(true);
 
-        // Store preserved objects in currentResult for later restoration
-        currentResult.preservedObjects = new Map(currentPreservedObjects);
+    try {
+        const { context, history, requestHistory = history, images, preservedObjects, promptName, overrides, selection } = await prepare();
+        activeRequest.signal.throwIfAborted();
 
-        // Restore placeholders in body with original HTML
-        if (currentResult.body && currentResult.preservedObjects.size > 0) {
-            currentResult.body = restorePreservedObjects(currentResult.body, currentResult.preservedObjects);
+        // Call LLM with structured output request, rendering the partial JSON as it streams
+        const variantCount = Number(elements.variantCount.value) || 1;
+        if (variantCount > 1) {
+            setRequestStatus(`Generating ${variantCount} drafts...`);
         }
 
+        const { variants, providerId, model } = await processText(context, instruction, {
+            signal: activeRequest.signal,
+            variants: variantCount,
+            history: requestHistory,
+            images,
+            promptName,
+            overrides,
+            onProgress: (text) => displayPartialResult(parsePartialResult(text), preservedObjects),
+            onRetry: ({ attempt, maxRetries, delay, status }) => {
+                setRequestStatus(`Provider busy (${status}), retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${maxRetries})...`);
+            },
+            onFallback: ({ from, to }) => {
+                setRequestStatus(`${getProviderName(from)} failed, trying ${getProviderName(to)}...`);
+            },
+            onRepair: () => {
+                setRequestStatus('Response was malformed, asking the model to fix it...');
+            }
+        });
+        setRequestStatus(null);
+        updateProviderIndicator(providerId);
+        reportedModels.set(providerId, model);
+
+        // Follow-ups are checked against the email the conversation started from
+        const source = history[0]?.emailBody ?? context;
+        currentVariants = variants.map(({ subject, body }) => createResult(subject, body, preservedObjects, source));
+
+        currentConversation = {
+            // The images stay with their turn so follow-ups still show them to the model
+            turns: [...history, { emailBody: context, instruction, images }],
+            preservedObjects,
+            promptName,
+            overrides,
+            selection
+        };
+        renderConversationSteps();
+        elements.replaceBodyLabel.textContent = selection ? 'Replace Selection' : 'Replace Body';
+
         // Display results
-        displayResults();
+        selectVariant(0);
+        return true;
 
     } catch (error) {
-        showError(error.message);
+        if (error.name === 'AbortError') {
+            showSuccess('Request cancelled');
+        } else {
+            showError(error.message);
+        }
+        return false;
     } finally {
+        activeRequest = null;
+        setRequestStatus(null);
         setLoading(false);
     }
 }
 
+/**
+ * Build a draft for display from a response
+ * @param {string} subject
+ * @param {string} draftBody - Body as the model wrote it, with placeholders
+ * @param {Map} preservedObjects - Map of placeholder -> original HTML
+ * @param {string} source - Email content the conversation started from
+ * @returns {Object}
+ */
+function createResult(subject, draftBody, preservedObjects, source) {
+    return {
+        subject,
+        // Restore placeholders in body with original HTML
+        body: preservedObjects.size > 0 ? restorePreservedObjects(draftBody, preservedObjects) : draftBody,
+        draftBody,
+        preservedObjects: new Map(preservedObjects),
+        placeholderCheck: checkPlaceholders(draftBody, getExpectedPlaceholders(source, preservedObjects), source),
+        newUrls: findNewUrls(draftBody, source, preservedObjects),
+        // The draft as the model wrote it (with placeholders), sent back as its reply in follow-ups
+        response: JSON.stringify({ subject, body: draftBody })
+    };
+}
+
+/**
+ * Show the placeholder problems of the selected draft; Replace Body waits until they are fixed
+ * URLs the model added are only flagged, since the user may have asked for them.
+ */
+function renderPlaceholderCheck() {
+    const check = currentResult.placeholderCheck;
+    const issues = check ? [
+        ...check.missing.map(p => `${describePlaceholder(p)} is missing`),
+        ...check.duplicated.map(p => `${describePlaceholder(p)} appears more than once`),
+        ...check.altered.map(({ text, placeholder }) => `${describePlaceholder(placeholder)} was rewritten as "${text}"`),
+        ...check.invented.map(text => `"${text}" doesn't match anything in your email`),
+        ...check.unclosed.map(p => `${describePlaceholder(p)}'s cell texts have no end marker`)
+    ] : [];
+    const urlWarnings = (currentResult.newUrls || []).map(url => `${url} isn't in your email - check it before sending`);
+
+    elements.placeholderIssues.innerHTML = '';
+    [...issues, ...urlWarnings].forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = issue;
+        elements.placeholderIssues.appendChild(item);
+    });
+
+    elements.placeholderWarning.style.display = issues.length + urlWarnings.length > 0 ? 'flex' : 'none';
+    elements.repairPlaceholdersBtn.style.display = issues.length > 0 ? '' : 'none';
+    elements.replaceBodyBtn.disabled = issues.length > 0;
+    elements.replaceBodyBtn.title = issues.length > 0 ? 'Re-insert the objects first' : '';
+}
+
+/**
+ * Fix the selected draft's placeholders, putting missing objects back at their original relative position
+ */
+function handleRepairPlaceholders() {
+    const source = currentConversation?.turns[0]?.emailBody;
+    if (!currentResult.draftBody || source === undefined) return;
+
+    const expectedPlaceholders = getExpectedPlaceholders(source, currentResult.preservedObjects);
+    const repaired = createResult(
+        currentResult.subject,
+        repairPlaceholders(currentResult.draftBody, expectedPlaceholders, source),
+        currentResult.preservedObjects,
+        source
+    );
+
+    // Keep the draft's place among the variants
+    Object.assign(currentResult, repaired);
+    displayResults();
+    showSuccess('Objects re-inserted');
+}
+
+/**
+ * List the instructions of the conversation so far above the follow-up input
+ */
+function renderConversationSteps() {
+    const turns = currentConversation?.turns || [];
+
+    // A single step is just the original request, nothing to show yet
+    elements.conversationSteps.innerHTML = '';
+    if (turns.length < 2) return;
+
+    turns.forEach(turn => {
+        const step = document.createElement('li');
+        step.textContent = turn.instruction;
+        elements.conversationSteps.appendChild(step);
+    });
+}
+
+/**
+ * Abort the in-flight LLM request
+ */
+function handleCancel() {
+    if (activeRequest) {
+        activeRequest.abort();
+    }
+}
+
 /**
  * Display the AI results
  */
@@ -773,11 +1078,56 @@ function displayResults() {
     } else {
         document.getElementById('bodyCard').style.display = 'none';
     }
+    renderPlaceholderCheck();
 
     elements.resultSection.style.display = 'block';
     elements.resultSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+/**
+ * Show one of the generated drafts; the result actions apply to the selected draft
+ * @param {number} index
+ */
+function selectVariant(index) {
+    currentResult = currentVariants[index];
+
+    if (currentVariants.length > 1) {
+        elements.variantTabs.innerHTML = currentVariants
+            .map((_, i) => `<button class="variant-tab${i === index ? ' active' : ''}" data-index="${i}">Draft ${i + 1}</button>`)
+            .join('');
+        elements.variantTabs.style.display = 'flex';
+    } else {
+        elements.variantTabs.style.display = 'none';
+    }
+
+    displayResults();
+}
+
+/**
+ * Display a partial result while the response is still streaming
+ * Placeholders are restored as they complete so tables/images appear in place
+ * @param {{subject: string, body: string}} partial
+ * @param {Map} preservedObjects - Placeholders of the draft the request was made from
+ */
+function displayPartialResult(partial, preservedObjects) {
+    if (!partial.subject && !partial.body) return;
+
+    // Drafts from an earlier request no longer apply; the placeholders are checked once the response is complete
+    elements.variantTabs.style.display = 'none';
+    elements.placeholderWarning.style.display = 'none';
+
+    elements.subjectText.textContent = partial.subject;
+    document.getElementById('subjectCard').style.display = partial.subject ? 'block' : 'none';
+
+    const body = preservedObjects.size > 0
+        ? restorePreservedObjects(partial.body, preservedObjects)
+        : partial.body;
+    elements.bodyPreview.innerHTML = body;
+    document.getElementById('bodyCard').style.display = body ? 'block' : 'none';
+
+    elements.resultSection.style.display = 'block';
+}
+
 /**
  * Insert the suggested subject
  */
@@ -918,6 +1268,10 @@ function scrollEmailToTop() {
  */
 function handleReplaceBody() {
     if (!currentResult.body) return;
+    if (currentConversation?.selection) {
+        handleReplaceSelection();
+        return;
+    }
 
     const newBodyContent = formatBodyForInsert(currentResult.body);
 
@@ -958,6 +1312,7 @@ function handleReplaceBody() {
                         // Show success and hide results
                         showSuccess('Body replaced!');
                         hideResults();
+                        captureEmailBody();
                     } else {
                         showError('Failed to replace: ' + result.error.message);
                     }
@@ -967,6 +1322,37 @@ function handleReplaceBody() {
     );
 }
 
+/**
+ * Write the selected draft in place of the selection it was made from
+ * The text must still be selected: after the pane took focus Outlook may have moved the selection or cursor.
+ * A selection within a paragraph gets inline HTML, so the paragraph isn't split; paragraphs only for one that spanned blocks.
+ */
+function handleReplaceSelection() {
+    const item = Office.context.mailbox.item;
+
+    item.getSelectedDataAsync(Office.CoercionType.Html, (selected) => {
+        if (parseSelection(getSelectedBodyHtml(selected))?.text !== currentConversation.selection.text) {
+            showError('The selection changed. Select the text you processed again, then replace it.');
+            return;
+        }
+
+        const { spansBlocks } = currentConversation.selection;
+        item.body.setSelectedDataAsync(
+            spansBlocks ? formatBodyForInsert(currentResult.body) : formatInlineForInsert(currentResult.body),
+            { coercionType: Office.CoercionType.Html },
+            (result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    showSuccess('Selection replaced!');
+                    hideResults();
+                    captureEmailBody();
+                } else {
+                    showError('Failed to replace: ' + result.error.message);
+                }
+            }
+        );
+    });
+}
+
 /**
  * Extract signature and thread HTML from the full email body
  * @param {string} html - Full email HTML
@@ -1047,20 +1433,8 @@ function extractPreservedContent(html) {
     }
 
     // === STEP 2: Find and extract signature ===
-    // Look for common signature markers in the remaining content
-    const signatureMarkers = [
-        '#Signature',               // Outlook signature ID
-        '.Signature',               // Outlook signature class
-        '#ms-outlook-mobile-signature',
-        '[data-signature]',
-        // Look for elements with typical signature styling
-    ];
-
-    let signatureElement = null;
-    for (const selector of signatureMarkers) {
-        signatureElement = temp.querySelector(selector);
-        if (signatureElement) break;
-    }
+    // Look for a signature container in the remaining content
+    let signatureElement = temp.querySelector(SIGNATURE_SELECTORS.join(', '));
 
     // If no explicit signature found, try to detect signature patterns
     // Use the cached signature text if we detected it
@@ -1082,34 +1456,9 @@ function extractPreservedContent(html) {
         }
     }
 
-    // Also check for signature phrases as fallback
+    // Then look for the first element starting with a sign-off, marker or footer
     if (!signatureElement) {
-        const signaturePhrases = [
-            /^Best regards/im,
-            /^Kind regards/im,
-            /^Regards/im,
-            /^Sincerely/im,
-            /^Thanks/im,
-            /^Thank you/im,
-            /^Cheers/im,
-            /^Cordialement/im,
-            /^Cdlt/im,
-            /^Mit freundlichen Grüßen/im,
-            /^MfG/im,
-            /^--\s*$/m,
-        ];
-
-        const allElements = temp.querySelectorAll('div, p');
-        for (const el of allElements) {
-            const text = el.textContent || '';
-            for (const phrase of signaturePhrases) {
-                if (phrase.test(text)) {
-                    signatureElement = el;
-                    break;
-                }
-            }
-            if (signatureElement) break;
-        }
+        signatureElement = findSignatureElement(temp, signatureRules);
     }
 
     // If we found a signature, extract it and everything after
@@ -1162,19 +1511,83 @@ function addOutlookStyles(html) {
 }
 
 /**
- * Restore preserved objects (tables/images) by replacing placeholders with original HTML
+ * Restore preserved objects (tables/images/links) by replacing placeholders with original HTML
+ * Links are restored first, since a linked image's placeholder is inside the link. Tables sent as
+ * editable grids get the model's cell texts.
  * @param {string} html - HTML content with placeholders
  * @param {Map} objectsMap - Map of placeholder -> original HTML
  * @returns {string} - HTML with placeholders replaced by original content
  */
 function restorePreservedObjects(html, objectsMap) {
+    const isLink = (placeholder) => placeholder.startsWith('[[LINK_');
+    const entries = [...objectsMap].sort(([a], [b]) => isLink(b) - isLink(a));
+
     let result = html;
-    for (const [placeholder, originalHtml] of objectsMap) {
-        result = result.replace(placeholder, originalHtml);
+    for (const [placeholder, originalHtml] of entries) {
+        if (isLink(placeholder)) {
+            result = restoreLink(result, placeholder, originalHtml);
+        } else if (placeholder.startsWith('[[TABLE_')) {
+            result = restoreTable(result, placeholder, originalHtml);
+        } else {
+            result = result.replace(placeholder, originalHtml);
+        }
     }
     return result;
 }
 
+/**
+ * Restore a table placeholder, applying the cell texts when it was sent as an editable grid
+ * A grid that lost its closing marker is dropped and the original table restored as it was.
+ * @param {string} html - HTML content with placeholders
+ * @param {string} placeholder - e.g. [[TABLE_1]]
+ * @param {string} originalHtml - The original table
+ * @returns {string}
+ */
+function restoreTable(html, placeholder, originalHtml) {
+    const start = html.indexOf(placeholder);
+    if (start === -1) return html;
+
+    const gridStart = start + placeholder.length;
+    const closing = getClosingPattern(placeholder).exec(html.slice(gridStart));
+    if (!closing) {
+        return html.slice(0, start) + originalHtml + html.slice(findGridEnd(html, gridStart));
+    }
+
+    const table = applyTableGrid(originalHtml, html.slice(gridStart, gridStart + closing.index));
+    return html.slice(0, start) + table + html.slice(gridStart + closing.index + closing[0].length);
+}
+
+/**
+ * Restore a link placeholder with the model's link text and the original href
+ * Without a closing marker the original link is restored as it was.
+ * @param {string} html - HTML content with placeholders
+ * @param {string} placeholder - e.g. [[LINK_1]]
+ * @param {string} originalHtml - The original <a> element
+ * @returns {string}
+ */
+function restoreLink(html, placeholder, originalHtml) {
+    const start = html.indexOf(placeholder);
+    if (start === -1) return html;
+
+    const textStart = start + placeholder.length;
+    const closing = getClosingPattern(placeholder).exec(html.slice(textStart));
+
+    let result;
+    if (closing) {
+        const template = document.createElement('template');
+        template.innerHTML = originalHtml;
+        const link = template.content.firstElementChild;
+        link.innerHTML = html.slice(textStart, textStart + closing.index);
+
+        result = html.slice(0, start) + link.outerHTML + html.slice(textStart + closing.index + closing[0].length);
+    } else {
+        result = html.slice(0, start) + originalHtml + html.slice(textStart);
+    }
+
+    // Closing markers left over from repeated links
+    return result.replace(getClosingPattern(placeholder, 'gi'), '');
+}
+
 /**
  * Format body content for insertion
  * Handles both HTML and markdown/plain text conversion
@@ -1292,6 +1705,28 @@ function formatBodyForInsert(body) {
     return addOutlookStyles(result);
 }
 
+/**
+ * Format body content for insertion inside a paragraph
+ * Plain text is escaped with breaks for its newlines; the blocks of HTML are unwrapped onto lines separated by
+ * breaks, keeping links, images and inline formatting.
+ * @param {string} body
+ * @returns {string}
+ */
+function formatInlineForInsert(body) {
+    const temp = document.createElement('div');
+    if (/<[a-z][\s\S]*>/i.test(body)) {
+        temp.innerHTML = body;
+        temp.querySelectorAll(BLOCK_SELECTOR).forEach(block => {
+            block.after(document.createElement('br'));
+            block.replaceWith(...block.childNodes);
+        });
+        return temp.innerHTML.replace(/(?:\s*<br>)+\s*$/, '');
+    }
+
+    temp.textContent = body.trim();
+    return temp.innerHTML.replace(/\n/g, '<br>');
+}
+
 /**
  * Hide results section
  */
@@ -1300,6 +1735,10 @@ function hideResults() {
     elements.instruction.value = '';
     elements.savedPrompts.value = '';
     currentResult = { subject: '', body: '' };
+    currentVariants = [];
+    currentConversation = null;
+    renderConversationSteps();
+    elements.followUpInput.value = '';
     updateProcessButtonState();
 }
 
@@ -1312,21 +1751,27 @@ function openSettings() {
 
 /**
  * Update the provider indicator in the footer
+ * @param {string} [usedProvider] - Provider that produced the last result, if it was a fallback
  */
-function updateProviderIndicator() {
-    const settings = storage.getProviderSettings();
-    const provider = settings.activeProvider;
-    const providerNames = {
-        openai: 'OpenAI',
-        claude: 'Claude',
-        gemini: 'Gemini',
-        custom: 'Custom API'
-    };
+function updateProviderIndicator(usedProvider) {
+    const overrides = getSelectedPrompt(elements.instruction.value.trim())?.overrides;
+    const { providerId: provider, config } = resolveProvider(overrides);
+
+    const isConfigured = !getConfigError(provider, config);
+    let displayName = isConfigured ? getProviderName(provider) : 'Not configured';
 
-    const hasApiKey = settings.providers[provider]?.apiKey;
-    const displayName = hasApiKey ? providerNames[provider] : 'Not configured';
+    // Show which model a saved prompt pins
+    if (isConfigured && (overrides?.provider || overrides?.model)) {
+        displayName += ` (${config.model || config.deployment})`;
+    }
+
+    if (usedProvider && usedProvider !== provider) {
+        displayName = `${getProviderName(usedProvider)} (fallback)`;
+    }
 
-    elements.providerIndicator.innerHTML = `Provider: <strong>${displayName}</strong>`;
+    // Model names come from settings, so set them as text
+    elements.providerIndicator.innerHTML = 'Provider: <strong></strong>';
+    elements.providerIndicator.querySelector('strong').textContent = displayName;
 }
 
 /**
@@ -1341,9 +1786,12 @@ function setLoading(loading) {
         btnText.style.display = 'none';
         btnLoading.style.display = 'inline-flex';
         elements.processBtn.disabled = true;
+        elements.followUpBtn.disabled = true;
+        elements.cancelBtn.style.display = 'flex';
     } else {
         btnText.style.display = 'inline';
         btnLoading.style.display = 'none';
+        elements.cancelBtn.style.display = 'none';
         updateProcessButtonState();
     }
 }
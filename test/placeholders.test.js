@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpectedPlaceholders, checkPlaceholders, repairPlaceholders } from '../src/lib/placeholders.js';
+
+const objects = new Map([
+    ['[[TABLE_1]]', '<table></table>'],
+    ['[[LINK_2]]', '<a href="https://example.com/doc">the doc</a>'],
+    ['[[IMAGE_3]]', '<img src="chart.png">']
+]);
+
+test('a missing object next to a link goes after the link, not inside its text', () => {
+    const source = 'See [[LINK_2]]the doc[[/LINK_2]] [[IMAGE_3]]\n\nThanks';
+    const body = '<p>See [[LINK_2]]the document[[/LINK_2]].</p><p>Thanks</p>';
+    const expected = getExpectedPlaceholders(source, objects);
+
+    const repaired = repairPlaceholders(body, expected, source);
+    assert.equal(repaired, '<p>See [[LINK_2]]the document[[/LINK_2]][[IMAGE_3]].</p><p>Thanks</p>');
+    assert.equal(checkPlaceholders(repaired, expected).ok, true);
+});
+
+test('a missing object goes back after the text that preceded it', () => {
+    const source = 'A\n\n[[TABLE_1]]\n\nB is long enough to skew a proportional estimate\n\nC';
+    const body = '<p>A</p><p>B is long enough to skew a proportional estimate</p><p>C</p>';
+
+    const repaired = repairPlaceholders(body, getExpectedPlaceholders(source, objects), source);
+    assert.equal(repaired, '<p>A</p><div>[[TABLE_1]]</div><p>B is long enough to skew a proportional estimate</p><p>C</p>');
+});
+
+test('a missing object goes after as many blocks as preceded it when the text was rewritten', () => {
+    const source = 'Hello team,\n\nHere are the numbers:\n\n[[TABLE_1]]\n\nThanks';
+    const body = '<p>Bonjour,</p><p>Voici les chiffres :</p><p>Merci</p>';
+
+    const repaired = repairPlaceholders(body, getExpectedPlaceholders(source, objects), source);
+    assert.equal(repaired, '<p>Bonjour,</p><p>Voici les chiffres :</p><div>[[TABLE_1]]</div><p>Merci</p>');
+});
+
+test('an editable table that lost its closing marker is reported and closed after its cells by the repair', () => {
+    const source = 'Figures:\n\n[[TABLE_1]]\n[[R1C1]] Q1 | [[R1C2]] 10\n[[R2C1]] Q2 | [[R2C2]] 12\n[[/TABLE_1]]\n\nThanks';
+    const body = '<p>Chiffres :</p><p>[[TABLE_1]]</p><p>[[R1C1]] T1 | [[R1C2]] 10</p><p>[[R2C1]] T2 | [[R2C2]] 12</p><p>Merci</p>';
+    const expected = getExpectedPlaceholders(source, objects);
+
+    assert.deepEqual(checkPlaceholders(body, expected, source).unclosed, ['[[TABLE_1]]']);
+    assert.equal(checkPlaceholders(body, expected, source).ok, false);
+
+    const repaired = repairPlaceholders(body, expected, source);
+    assert.equal(repaired, '<p>Chiffres :</p><p>[[TABLE_1]]</p><p>[[R1C1]] T1 | [[R1C2]] 10</p><p>[[R2C1]] T2 | [[R2C2]] 12[[/TABLE_1]]</p><p>Merci</p>');
+    assert.equal(checkPlaceholders(repaired, expected, source).ok, true);
+});
+
+test('a table sent without a grid needs no closing marker', () => {
+    const source = 'Figures:\n\n[[TABLE_1]]\n\nThanks';
+    const body = '<p>Chiffres :</p>[[TABLE_1]]<p>Merci</p>';
+
+    assert.equal(checkPlaceholders(body, getExpectedPlaceholders(source, objects), source).ok, true);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSignatureRules, isSignatureStart, stripSignature } from '../src/lib/signature-rules.js';
+
+const rules = getSignatureRules({ customMarkers: [], signatureText: '' });
+
+test('sign-offs alone on a line, or with a comma and a name, start a signature', () => {
+    for (const line of ['Best regards,', 'Thanks,', 'Thanks, Alex', 'Groeten, Jan de Vries', 'Un saludo,', 'Cordialement']) {
+        assert.equal(isSignatureStart(line, rules), true, line);
+    }
+});
+
+test('sentences that start with a sign-off word do not', () => {
+    for (const line of ['Best Practices for X', 'Thanks Anna for the notes', 'Thanks, that works for me', 'Best of luck with the launch']) {
+        assert.equal(isSignatureStart(line, rules), false, line);
+    }
+});
+
+test('a name on the line after the sign-off is part of the signature', () => {
+    const text = 'Hi Sam,\nThe report is attached.\nBest regards,\nAlex Morgan';
+    assert.equal(stripSignature(text, '', rules), 'Hi Sam,\nThe report is attached.');
+});
+
+test('a heading starting with "Best" keeps the text below it', () => {
+    const text = 'Hi team,\nBest Practices for onboarding\nPair new joiners with a buddy.\nThanks Anna for the notes.';
+    assert.equal(stripSignature(text, '', rules), text);
+});
+
+test('dates and times are not taken for phone numbers', () => {
+    const text = 'Hi,\nThe review is on 12.05.2025 at 10:00.\nThe deadline is 2025-05-12.\nPlease send your slides before then.';
+    assert.equal(stripSignature(text, '', rules), text);
+});
+
+test('phone numbers near the end still cut the signature', () => {
+    const text = 'Hi,\nSee you on 12.05.2025.\nAlex Morgan\nAcme Ltd\nTel: +44 20 7946 0958';
+    assert.equal(stripSignature(text, '', rules), 'Hi,\nSee you on 12.05.2025.\nAlex Morgan\nAcme Ltd');
+});
+
+test('contact details can be left alone, as for quoted messages', () => {
+    const text = 'Hi,\nCall me on +44 20 7946 0958.\nWe can go over it.\nSee you';
+    assert.equal(stripSignature(text, '', rules, { contactDetails: false }), text);
+});
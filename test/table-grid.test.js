@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findGridEnd } from '../src/lib/table-grid.js';
+
+const gridStart = (html) => html.indexOf('[[TABLE_1]]') + '[[TABLE_1]]'.length;
+
+test('an unclosed grid in paragraphs ends after its last row', () => {
+    const html = '<p>[[TABLE_1]]</p><p>[[R1C1]] a | [[R1C2]] b</p><p>[[R2C1]] c</p><p>Thanks</p>';
+    assert.equal(html.slice(0, findGridEnd(html, gridStart(html))), '<p>[[TABLE_1]]</p><p>[[R1C1]] a | [[R1C2]] b</p><p>[[R2C1]] c');
+});
+
+test('an unclosed grid in plain text ends at the next placeholder', () => {
+    const html = '[[TABLE_1]]\n[[R1C1]] a | [[R1C2]] b [[IMAGE_2]]\nThanks';
+    assert.equal(html.slice(findGridEnd(html, gridStart(html))), '[[IMAGE_2]]\nThanks');
+});
+
+test('a table placeholder with no rows after it has an empty grid', () => {
+    const html = '<p>[[TABLE_1]]</p><p>Thanks</p>';
+    assert.equal(findGridEnd(html, gridStart(html)), gridStart(html));
+});